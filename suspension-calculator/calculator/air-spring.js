@@ -0,0 +1,368 @@
+/**
+ * Air Spring Module
+ * Air chamber model for air forks and shocks: chamber pressure, spring force,
+ * the pump pressure needed to reach a target sag and volume spacer (token) effects
+ */
+
+const ATMOSPHERIC_PRESSURE = 101325; // Pa (sea level)
+
+// Sag is set slowly (isothermal); compression on the trail is fast enough
+// that the air heats up, so force curves default to a polytropic index
+const DYNAMIC_POLYTROPIC_INDEX = 1.3;
+
+const ZERO_CELSIUS = 273.15; // K
+
+// International Standard Atmosphere troposphere, used for the pressure at altitude
+const STANDARD_ATMOSPHERE = {
+  lapseRate: 2.25577e-5, // 1/m, temperature lapse rate over sea-level temperature
+  exponent: 5.25588,
+  minAltitude: -500, // m
+  maxAltitude: 11000, // m, top of the troposphere
+};
+
+/**
+ * Calculate piston area from its diameter
+ * Formula: A = π * (d / 2)²
+ * @param {number} diameter - Piston diameter in m
+ * @returns {number} Piston area in m²
+ */
+function calculatePistonArea(diameter) {
+  if (diameter <= 0) {
+    throw new Error('Piston diameter must be a positive value');
+  }
+  return Math.PI * Math.pow(diameter / 2, 2);
+}
+
+/**
+ * Build an air chamber in SI units from its preset geometry
+ * Each volume spacer (token) takes its volume out of the positive chamber
+ * @param {object} geometry - { pistonDiameter (mm), positiveVolume (cm³), negativeVolume (cm³), tokenVolume (cm³) }
+ * @param {number} [tokens=0] - Number of volume spacers installed
+ * @returns {object} Chamber with pistonArea (m²), positiveVolume (m³) and negativeVolume (m³)
+ */
+function createAirChamber({ pistonDiameter, positiveVolume, negativeVolume = 0, tokenVolume = 0 }, tokens = 0) {
+  if (!Number.isInteger(tokens) || tokens < 0) {
+    throw new Error('Token count must be a non-negative integer');
+  }
+  const spacedVolume = positiveVolume - tokens * tokenVolume;
+  if (spacedVolume <= 0 || negativeVolume < 0) {
+    throw new Error('Positive volume must be positive; negative volume must be non-negative');
+  }
+  return {
+    pistonArea: calculatePistonArea(pistonDiameter / 1000),
+    positiveVolume: spacedVolume / 1e6,
+    negativeVolume: negativeVolume / 1e6,
+  };
+}
+
+/**
+ * Calculate chamber pressure after a volume change
+ * Formula: P = P₀ * (V₀ / V)ⁿ (n = 1 isothermal, n = 1.4 adiabatic)
+ * @param {number} initialPressure - Absolute pressure at V₀ in Pa
+ * @param {number} initialVolume - Initial volume in m³
+ * @param {number} volume - Current volume in m³
+ * @param {number} [polytropicIndex=1] - Polytropic index n
+ * @returns {number} Absolute pressure in Pa
+ */
+function calculateChamberPressure(initialPressure, initialVolume, volume, polytropicIndex = 1) {
+  if (initialPressure < 0 || initialVolume <= 0 || volume <= 0) {
+    throw new Error('Pressure must be non-negative; volumes must be positive');
+  }
+  return initialPressure * Math.pow(initialVolume / volume, polytropicIndex);
+}
+
+/**
+ * Calculate the pressure ratios of both chambers at a given stroke,
+ * relative to the shared top-out pressure
+ * @param {number} stroke - Compression from top-out in m
+ * @param {object} chamber - Air chamber (see createAirChamber)
+ * @param {number} polytropicIndex - Polytropic index n
+ * @returns {{positive: number, negative: number}} Pressure ratios (negative is 0 without a negative chamber)
+ */
+function calculateChamberRatios(stroke, chamber, polytropicIndex) {
+  const sweptVolume = chamber.pistonArea * stroke;
+  if (sweptVolume >= chamber.positiveVolume) {
+    throw new Error('Stroke exceeds the positive chamber volume');
+  }
+  const positive = calculateChamberPressure(
+    1, chamber.positiveVolume, chamber.positiveVolume - sweptVolume, polytropicIndex
+  );
+  const negative = chamber.negativeVolume > 0
+    ? calculateChamberPressure(
+      1, chamber.negativeVolume, chamber.negativeVolume + sweptVolume, polytropicIndex
+    )
+    : 0;
+  return { positive, negative };
+}
+
+/**
+ * Calculate air spring force at a given stroke
+ * Formula: F = A * (P₊(x) - P₋(x)), chambers equalized at top-out
+ * @param {number} pressure - Gauge pressure set at top-out in Pa
+ * @param {number} stroke - Compression from top-out in m
+ * @param {object} chamber - Air chamber (see createAirChamber)
+ * @param {number} [polytropicIndex=1] - Polytropic index n
+ * @returns {number} Spring force in N
+ */
+function calculateAirSpringForce(pressure, stroke, chamber, polytropicIndex = 1) {
+  if (stroke < 0) {
+    throw new Error('Stroke cannot be negative');
+  }
+  const absolutePressure = pressure + ATMOSPHERIC_PRESSURE;
+  const ratios = calculateChamberRatios(stroke, chamber, polytropicIndex);
+  const negativePressure = chamber.negativeVolume > 0
+    ? absolutePressure * ratios.negative
+    : ATMOSPHERIC_PRESSURE;
+  return chamber.pistonArea * (absolutePressure * ratios.positive - negativePressure);
+}
+
+/**
+ * Calculate the gauge pressure that makes the spring carry a force at a given stroke
+ * @param {number} force - Force to support in N
+ * @param {number} stroke - Compression from top-out in m (e.g., sag)
+ * @param {object} chamber - Air chamber (see createAirChamber)
+ * @param {number} [polytropicIndex=1] - Polytropic index n
+ * @returns {number} Gauge pressure in Pa
+ */
+function calculateAirPressureForForce(force, stroke, chamber, polytropicIndex = 1) {
+  if (force <= 0 || stroke <= 0) {
+    throw new Error('Force and stroke must be positive values');
+  }
+  const ratios = calculateChamberRatios(stroke, chamber, polytropicIndex);
+  const absolutePressure = chamber.negativeVolume > 0
+    ? force / (chamber.pistonArea * (ratios.positive - ratios.negative))
+    : (force / chamber.pistonArea + ATMOSPHERIC_PRESSURE) / ratios.positive;
+  return absolutePressure - ATMOSPHERIC_PRESSURE;
+}
+
+/**
+ * Generate the force-vs-stroke curve of an air spring
+ * @param {number} pressure - Gauge pressure set at top-out in Pa
+ * @param {object} chamber - Air chamber (see createAirChamber)
+ * @param {number} stroke - Full spring stroke in m
+ * @param {object} [options] - { polytropicIndex, points }
+ * @returns {Array<{stroke: number, force: number}>} Curve points (stroke in m, force in N)
+ */
+function generateAirSpringCurve(pressure, chamber, stroke, options = {}) {
+  const { polytropicIndex = DYNAMIC_POLYTROPIC_INDEX, points = 21 } = options;
+  if (stroke <= 0 || points < 2) {
+    throw new Error('Stroke must be positive and the curve needs at least two points');
+  }
+  const curve = [];
+  for (let i = 0; i < points; i++) {
+    const x = (stroke * i) / (points - 1);
+    curve.push({ stroke: x, force: calculateAirSpringForce(pressure, x, chamber, polytropicIndex) });
+  }
+  return curve;
+}
+
+/**
+ * Calculate ramp-up: bottom-out force relative to a linear spring through the sag point
+ * Formula: ramp-up = F(stroke) / (F(sag) * stroke / sag)
+ * @param {number} forceAtSag - Spring force at sag in N
+ * @param {number} forceAtBottomOut - Spring force at full stroke in N
+ * @param {number} sagStroke - Stroke at sag in m
+ * @param {number} stroke - Full stroke in m
+ * @returns {number} Ramp-up (1 = linear, higher = more progressive)
+ */
+function calculateRampUp(forceAtSag, forceAtBottomOut, sagStroke, stroke) {
+  if (forceAtSag <= 0 || sagStroke <= 0 || stroke <= sagStroke) {
+    throw new Error('Force at sag must be positive and sag shorter than the stroke');
+  }
+  return forceAtBottomOut / ((forceAtSag * stroke) / sagStroke);
+}
+
+/**
+ * Analyze an air spring set up for a static load at sag
+ * Pressure is solved isothermally for the sag; the reported forces use the
+ * dynamic polytropic index
+ * @param {object} params - Analysis parameters
+ * @param {number} params.force - Static load on the spring in N
+ * @param {number} params.sagStroke - Spring stroke at sag in m
+ * @param {number} params.stroke - Full spring stroke in m
+ * @param {object} params.chamber - Air chamber (see createAirChamber)
+ * @param {number} [params.polytropicIndex] - Polytropic index for the force curve
+ * @returns {object} { pressure (Pa), forceAtSag (N), forceAtBottomOut (N), rampUp }
+ */
+function analyzeAirSpring({
+  force,
+  sagStroke,
+  stroke,
+  chamber,
+  polytropicIndex = DYNAMIC_POLYTROPIC_INDEX,
+}) {
+  const pressure = calculateAirPressureForForce(force, sagStroke, chamber);
+  const forceAtSag = calculateAirSpringForce(pressure, sagStroke, chamber, polytropicIndex);
+  const forceAtBottomOut = calculateAirSpringForce(pressure, stroke, chamber, polytropicIndex);
+  return {
+    pressure,
+    forceAtSag,
+    forceAtBottomOut,
+    rampUp: calculateRampUp(forceAtSag, forceAtBottomOut, sagStroke, stroke),
+  };
+}
+
+/**
+ * Recommend the fewest volume spacers that reach a target ramp-up
+ * Falls back to the most progressive option when no count reaches the target
+ * @param {object} params - Recommendation parameters
+ * @param {number} params.force - Static load on the spring in N
+ * @param {number} params.sagStroke - Spring stroke at sag in m
+ * @param {number} params.stroke - Full spring stroke in m
+ * @param {object} params.geometry - Preset air chamber geometry (see createAirChamber)
+ * @param {number} params.targetRampUp - Target ramp-up
+ * @param {number} [params.polytropicIndex] - Polytropic index for the force curve
+ * @returns {object} { tokens, ...analysis, options: [{ tokens, ...analysis }] }
+ */
+function recommendVolumeSpacers({
+  force,
+  sagStroke,
+  stroke,
+  geometry,
+  targetRampUp,
+  polytropicIndex = DYNAMIC_POLYTROPIC_INDEX,
+}) {
+  const maxTokens = geometry.tokenVolume > 0 ? geometry.maxTokens || 0 : 0;
+  const options = [];
+  for (let tokens = 0; tokens <= maxTokens; tokens++) {
+    const chamber = createAirChamber(geometry, tokens);
+    if (chamber.pistonArea * stroke >= chamber.positiveVolume) {
+      break;
+    }
+    options.push(Object.assign(
+      { tokens },
+      analyzeAirSpring({ force, sagStroke, stroke, chamber, polytropicIndex })
+    ));
+  }
+  if (options.length === 0) {
+    throw new Error('Stroke exceeds the positive chamber volume');
+  }
+
+  const recommended = options.find((option) => option.rampUp >= targetRampUp)
+    || options[options.length - 1];
+  return Object.assign({}, recommended, { options });
+}
+
+// ============================================================================
+// TEMPERATURE AND ALTITUDE
+// ============================================================================
+
+/**
+ * Calculate the atmospheric pressure at an altitude
+ * Formula: P = P₀ * (1 - 2.25577e-5 * h)^5.25588 (standard atmosphere)
+ * @param {number} altitude - Altitude above sea level in m
+ * @returns {number} Atmospheric pressure in Pa
+ */
+function calculateAtmosphericPressure(altitude) {
+  const { lapseRate, exponent, minAltitude, maxAltitude } = STANDARD_ATMOSPHERE;
+  if (!Number.isFinite(altitude) || altitude < minAltitude || altitude > maxAltitude) {
+    throw new Error(`Altitude must be between ${minAltitude} and ${maxAltitude} m`);
+  }
+  return ATMOSPHERIC_PRESSURE * Math.pow(1 - lapseRate * altitude, exponent);
+}
+
+/**
+ * Convert a temperature to kelvin
+ * @param {number} temperature - Temperature in °C
+ * @returns {number} Temperature in K
+ */
+function toKelvin(temperature) {
+  if (!Number.isFinite(temperature) || temperature <= -ZERO_CELSIUS) {
+    throw new Error('Temperature must be above absolute zero');
+  }
+  return temperature + ZERO_CELSIUS;
+}
+
+/**
+ * Calculate the pressure of a sealed air spring after a temperature change
+ * The chamber volume is fixed, so the absolute pressure follows the
+ * absolute temperature (ideal gas law)
+ * Formula: P₂ + P₀ = (P₁ + P₀) * T₂ / T₁
+ * @param {number} pressure - Gauge pressure at the first temperature in Pa (sea-level reference)
+ * @param {number} fromTemperature - First temperature in °C
+ * @param {number} toTemperature - Second temperature in °C
+ * @returns {number} Gauge pressure at the second temperature in Pa (sea-level reference)
+ */
+function calculatePressureAtTemperature(pressure, fromTemperature, toTemperature) {
+  const absolutePressure = pressure + ATMOSPHERIC_PRESSURE;
+  return (absolutePressure * toKelvin(toTemperature)) / toKelvin(fromTemperature) - ATMOSPHERIC_PRESSURE;
+}
+
+/**
+ * Calculate the pressure to pump so the spring has its intended pressure on the trail
+ * The intended pressure is a gauge pressure against sea-level atmosphere, as
+ * solved by calculateAirPressureForForce; with a negative chamber the spring
+ * force depends only on the absolute pressure, which follows the temperature.
+ * The shock pump reads against the local atmosphere at each altitude
+ * Formula: P_pump = (P + P₀) * T_pump / T_ride - P_atm(h_pump)
+ * @param {number} pressure - Intended gauge pressure on the trail in Pa (sea-level reference)
+ * @param {object} pump - Where the spring is pumped: { temperature (°C), altitude (m) }
+ * @param {object} ride - Where it is ridden: { temperature (°C), altitude (m) }
+ * @returns {object} { pumpPressure, ridePressure (gauge pressures read at the pump and on the trail in Pa),
+ *   absolutePressure (Pa, on the trail) }
+ */
+function compensateAirPressure(pressure, pump, ride) {
+  const absolutePressure = pressure + ATMOSPHERIC_PRESSURE;
+  const pumpAbsolute = (absolutePressure * toKelvin(pump.temperature)) / toKelvin(ride.temperature);
+  const pumpPressure = pumpAbsolute - calculateAtmosphericPressure(pump.altitude || 0);
+  if (pumpPressure <= 0) {
+    throw new Error('The intended pressure is below the atmospheric pressure at the pump');
+  }
+  return {
+    pumpPressure,
+    ridePressure: absolutePressure - calculateAtmosphericPressure(ride.altitude || 0),
+    absolutePressure,
+  };
+}
+
+/**
+ * Find the stroke at which an air spring carries its static load
+ * The stroke is solved by bisection with the isothermal force curve, as sag is set slowly
+ * @param {number} pressure - Gauge pressure set at top-out in Pa
+ * @param {number|Function} load - Load in N, or a function of the stroke in m returning it
+ *   (e.g., a wheel load through a leverage curve)
+ * @param {object} chamber - Air chamber (see createAirChamber)
+ * @param {number} stroke - Full spring stroke in m
+ * @returns {number} Sag stroke in m (the full stroke if the spring bottoms out)
+ */
+function calculateSagStroke(pressure, load, chamber, stroke) {
+  const loadAt = typeof load === 'function' ? load : () => load;
+  // The force curve ends where the piston would sweep the whole positive chamber
+  const maxStroke = Math.min(stroke, (chamber.positiveVolume / chamber.pistonArea) * 0.999);
+  const excess = (x) => calculateAirSpringForce(pressure, x, chamber) - loadAt(x);
+  if (excess(maxStroke) <= 0) {
+    return stroke;
+  }
+  let low = 0;
+  let high = maxStroke;
+  for (let i = 0; i < 50; i++) {
+    const middle = (low + high) / 2;
+    if (excess(middle) < 0) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ATMOSPHERIC_PRESSURE,
+    DYNAMIC_POLYTROPIC_INDEX,
+    calculatePistonArea,
+    createAirChamber,
+    calculateChamberPressure,
+    calculateAirSpringForce,
+    calculateAirPressureForForce,
+    generateAirSpringCurve,
+    calculateRampUp,
+    analyzeAirSpring,
+    recommendVolumeSpacers,
+    calculateAtmosphericPressure,
+    calculatePressureAtTemperature,
+    compensateAirPressure,
+    calculateSagStroke,
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Bike Model Catalogue
+ * Production frames with their travel, shock size and leverage data, each
+ * built on one of the generic bike presets in presets.js
+ *
+ * Frame figures are taken from published geometry and are approximate;
+ * check them against your frame's manual
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { getBikePreset } = require('./presets.js');
+}
+
+const BIKE_MODELS = {
+  'trek-supercaliber': {
+    name: 'Trek Supercaliber',
+    brand: 'Trek',
+    preset: 'trailMTB', // generic category the model is built on
+    type: 'full-suspension',
+    suspensionDesign: 'flex-stay (IsoStrut)',
+    travel: { front: 110, rear: 80 }, // mm
+    forkTravel: { min: 100, max: 120 }, // mm, frame rating
+    shock: { eyeToEye: 190, stroke: 50, mount: 'IsoStrut' }, // mm
+    leverageCurve: [ // [wheel travel, shock stroke] in mm
+      [0, 0], [16, 9.5], [32, 19.3], [48, 29.2], [64, 39.5], [80, 50],
+    ],
+    weight: 10.0, // kg
+    dampers: { fork: '', shock: '' },
+  },
+
+  'specialized-epic': {
+    name: 'Specialized Epic 8',
+    brand: 'Specialized',
+    preset: 'trailMTB',
+    type: 'full-suspension',
+    suspensionDesign: 'flex-stay four-bar',
+    travel: { front: 120, rear: 110 },
+    forkTravel: { min: 110, max: 130 },
+    shock: { eyeToEye: 190, stroke: 45, mount: 'standard' },
+    leverageCurve: [
+      [0, 0], [22, 8.6], [44, 17.3], [66, 26.3], [88, 35.5], [110, 45],
+    ],
+    weight: 10.9,
+    dampers: { fork: '', shock: '' },
+  },
+
+  'santa-cruz-blur': {
+    name: 'Santa Cruz Blur',
+    brand: 'Santa Cruz',
+    preset: 'trailMTB',
+    type: 'full-suspension',
+    suspensionDesign: 'flex-stay single pivot',
+    travel: { front: 100, rear: 100 },
+    forkTravel: { min: 100, max: 120 },
+    shock: { eyeToEye: 165, stroke: 45, mount: 'trunnion' },
+    leverageCurve: [
+      [0, 0], [20, 8.6], [40, 17.4], [60, 26.4], [80, 35.6], [100, 45],
+    ],
+    weight: 10.5,
+    dampers: { fork: '', shock: '' },
+  },
+
+  'yeti-sb100': {
+    name: 'Yeti SB100',
+    brand: 'Yeti',
+    preset: 'trailMTB',
+    type: 'full-suspension',
+    suspensionDesign: 'Switch Infinity',
+    travel: { front: 120, rear: 100 },
+    forkTravel: { min: 100, max: 120 },
+    shock: { eyeToEye: 190, stroke: 45, mount: 'standard' },
+    leverageCurve: [
+      [0, 0], [20, 8.5], [40, 17.3], [60, 26.3], [80, 35.5], [100, 45],
+    ],
+    weight: 11.6,
+    dampers: { fork: '', shock: '' },
+  },
+
+  'ibis-ripmo': {
+    name: 'Ibis Ripmo',
+    brand: 'Ibis',
+    preset: 'enduroMTB',
+    type: 'full-suspension',
+    suspensionDesign: 'dw-link',
+    travel: { front: 160, rear: 147 },
+    forkTravel: { min: 150, max: 170 },
+    shock: { eyeToEye: 210, stroke: 55, mount: 'standard' },
+    leverageCurve: [
+      [0, 0], [29.4, 10.4], [58.8, 21.1], [88.2, 32.1], [117.6, 43.4], [147, 55],
+    ],
+    weight: 14.2,
+    dampers: { fork: 'foxGrip', shock: 'foxFloatX' },
+  },
+};
+
+// ============================================================================
+// LOOKUP FUNCTIONS
+// ============================================================================
+
+/**
+ * Get a bike model from the catalogue
+ * @param {string} modelId - Bike model ID
+ * @returns {object|null} Bike model with its ID, or null if not found
+ */
+function getBikeModel(modelId) {
+  const model = BIKE_MODELS[modelId];
+  return model ? Object.assign({ id: modelId }, model) : null;
+}
+
+/**
+ * Get all bike models in the catalogue
+ * @returns {Array<object>} Bike models with their IDs
+ */
+function getAvailableBikeModels() {
+  return Object.keys(BIKE_MODELS).map(getBikeModel);
+}
+
+/**
+ * Build a bike preset for a catalogue model from its generic preset
+ * Air chamber volumes are scaled with the travel (fork) or stroke (shock) so
+ * the compression ratios of the generic preset are kept
+ * @param {string} modelId - Bike model ID
+ * @returns {object|null} Bike preset in the presets.js format, or null if not found
+ */
+function createBikeModelPreset(modelId) {
+  const model = getBikeModel(modelId);
+  if (!model) {
+    return null;
+  }
+  const parent = getBikePreset(model.preset);
+  if (!parent) {
+    throw new Error(`${model.name} is built on an unknown bike preset: ${model.preset}`);
+  }
+  const scaleChamber = (chamber, scale) => chamber && Object.assign({}, chamber, {
+    positiveVolume: chamber.positiveVolume * scale,
+    negativeVolume: chamber.negativeVolume * scale,
+  });
+
+  const parentFront = parent.suspension.front;
+  const front = Object.assign({}, parentFront, {
+    travel: model.travel.front,
+    minTravel: model.forkTravel.min,
+    maxTravel: model.forkTravel.max,
+    airChamber: scaleChamber(parentFront.airChamber, model.travel.front / parentFront.travel),
+  });
+
+  let rear = null;
+  if (model.type === 'full-suspension') {
+    const parentRear = parent.suspension.rear;
+    if (!parentRear) {
+      throw new Error(`${model.name} has rear suspension but ${parent.name} does not`);
+    }
+    rear = Object.assign({}, parentRear, {
+      travel: model.travel.rear,
+      minTravel: model.travel.rear,
+      maxTravel: model.travel.rear,
+      stroke: model.shock.stroke,
+      leverageCurve: model.leverageCurve.map((point) => point.slice()),
+      airChamber: scaleChamber(parentRear.airChamber, model.shock.stroke / parentRear.stroke),
+    });
+  }
+
+  return Object.assign({}, parent, {
+    name: model.name,
+    type: model.type,
+    suspension: { front, rear },
+    weight: model.weight,
+  });
+}
+
+/**
+ * Find a bike preset by generic preset ID or catalogue model ID
+ * @param {string} bikeId - Generic preset ID (e.g., 'trailMTB') or model ID (e.g., 'ibis-ripmo')
+ * @returns {object|null} Bike preset or null if not found
+ */
+function findBikePreset(bikeId) {
+  return getBikePreset(bikeId) || createBikeModelPreset(bikeId);
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BIKE_MODELS,
+    getBikeModel,
+    getAvailableBikeModels,
+    createBikeModelPreset,
+    findBikePreset,
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Coil Spring Module
+ * Coil spring selection from sprung mass, target sag and the frame's
+ * leverage curve, snapped to the spring weights sold commercially
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { calculateWeightForce } = require('./suspension-math.js');
+  var {
+    createLinearLeverageCurve,
+    getShockStrokeAt,
+    getLeverageRatioAt,
+  } = require('./leverage.js');
+  var { nPerMmToLbsPerIn, lbsPerInToNPerMm } = require('./utils.js');
+}
+
+// Commercially available coil spring weights
+const COIL_SPRING_RANGE = {
+  increment: 25, // lbs/in
+  min: 200, // lbs/in
+  max: 750, // lbs/in
+};
+
+/**
+ * Calculate the ideal coil spring rate for a target sag
+ * Formula: k_spring = F_wheel * LR(sag) / x_shock(sag)
+ * @param {number} sprungMass - Sprung mass carried by this end in kg
+ * @param {number} sagPercent - Target sag in % of wheel travel
+ * @param {Array<number[]>} leverageCurve - [wheel travel, shock stroke] points in mm
+ * @returns {number} Spring rate in lbs/in
+ */
+function calculateIdealCoilRate(sprungMass, sagPercent, leverageCurve) {
+  if (sprungMass <= 0 || sagPercent <= 0 || sagPercent >= 100) {
+    throw new Error('Sprung mass must be positive and sag between 0 and 100%');
+  }
+  const travel = leverageCurve[leverageCurve.length - 1][0];
+  const wheelSag = (travel * sagPercent) / 100; // mm
+  const shockSag = getShockStrokeAt(leverageCurve, wheelSag) / 1000; // m
+  const shockForce = calculateWeightForce(sprungMass) * getLeverageRatioAt(leverageCurve, wheelSag);
+  return nPerMmToLbsPerIn(shockForce / shockSag / 1000);
+}
+
+/**
+ * Calculate the sag a given coil spring produces
+ * Solves k_spring * x_shock(w) = F_wheel * LR(w) for the wheel travel w by bisection
+ * @param {number} springRate - Spring rate in lbs/in
+ * @param {number} sprungMass - Sprung mass carried by this end in kg
+ * @param {Array<number[]>} leverageCurve - [wheel travel, shock stroke] points in mm
+ * @returns {number} Sag in % of wheel travel (100 if the spring bottoms out)
+ */
+function calculateCoilSag(springRate, sprungMass, leverageCurve) {
+  if (springRate <= 0) {
+    throw new Error('Spring rate must be a positive value');
+  }
+  const rate = lbsPerInToNPerMm(springRate); // N/mm
+  const wheelForce = calculateWeightForce(sprungMass);
+  const travel = leverageCurve[leverageCurve.length - 1][0];
+  const imbalance = (wheelTravel) => rate * getShockStrokeAt(leverageCurve, wheelTravel)
+    - wheelForce * getLeverageRatioAt(leverageCurve, wheelTravel);
+
+  if (imbalance(travel) < 0) {
+    return 100;
+  }
+  let low = 0;
+  let high = travel;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (imbalance(mid) < 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (((low + high) / 2) / travel) * 100;
+}
+
+/**
+ * Snap a spring rate to the nearest commercially available spring weight
+ * @param {number} rate - Spring rate in lbs/in
+ * @param {number} [increment=25] - Spring weight increment in lbs/in
+ * @returns {number} Available spring weight in lbs/in
+ */
+function snapCoilSpringRate(rate, increment = COIL_SPRING_RANGE.increment) {
+  if (increment <= 0) {
+    throw new Error('Spring increment must be a positive value');
+  }
+  const snapped = Math.round(rate / increment) * increment;
+  return Math.min(COIL_SPRING_RANGE.max, Math.max(COIL_SPRING_RANGE.min, snapped));
+}
+
+/**
+ * Select a commercially available coil spring and show the springs either side
+ * @param {object} params - Selection parameters
+ * @param {number} params.sprungMass - Sprung mass carried by this end in kg
+ * @param {number} params.sagPercent - Target sag in % of wheel travel
+ * @param {Array<number[]>} [params.leverageCurve] - [wheel travel, shock stroke] points in mm
+ * @param {number} [params.stroke] - Shock stroke in mm, used with leverageRatio when there is no curve
+ * @param {number} [params.leverageRatio=1] - Average leverage ratio, used when there is no curve
+ * @param {number} [params.increment=25] - Spring weight increment in lbs/in
+ * @returns {object} { idealRate, recommended, softer, stiffer }; each option has rate (lbs/in) and sag (%)
+ */
+function selectCoilSpring({
+  sprungMass,
+  sagPercent,
+  leverageCurve,
+  stroke,
+  leverageRatio = 1,
+  increment = COIL_SPRING_RANGE.increment,
+}) {
+  const curve = leverageCurve || createLinearLeverageCurve(stroke * leverageRatio, stroke);
+  const idealRate = calculateIdealCoilRate(sprungMass, sagPercent, curve);
+  const recommendedRate = snapCoilSpringRate(idealRate, increment);
+
+  const option = (rate) => {
+    if (rate < COIL_SPRING_RANGE.min || rate > COIL_SPRING_RANGE.max) {
+      return null;
+    }
+    return { rate, sag: calculateCoilSag(rate, sprungMass, curve) };
+  };
+
+  return {
+    idealRate,
+    recommended: option(recommendedRate),
+    softer: option(recommendedRate - increment),
+    stiffer: option(recommendedRate + increment),
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COIL_SPRING_RANGE,
+    calculateIdealCoilRate,
+    calculateCoilSag,
+    snapCoilSpringRate,
+    selectCoilSpring,
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Comparison Module
+ * Field-by-field comparison of two or more computed setups, with numeric
+ * deltas against the first setup
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { summarizeSetup } = require('./garage.js');
+  var { convertUnit, roundQuantity } = require('./utils.js');
+}
+
+// Compared fields: paths into the setup summary (see summarizeSetup)
+const COMPARISON_FIELDS = [
+  { path: 'totalMass', label: 'Total mass' },
+  { path: 'fork.springRate', label: 'Fork spring rate' },
+  { path: 'fork.airPressure', label: 'Fork air pressure' },
+  { path: 'fork.volumeSpacers', label: 'Fork volume spacers' },
+  { path: 'fork.sag', label: 'Fork sag' },
+  { path: 'fork.lowSpeedCompression', label: 'Fork LSC' },
+  { path: 'fork.highSpeedCompression', label: 'Fork HSC' },
+  { path: 'fork.rebound', label: 'Fork rebound' },
+  { path: 'shock.springRate', label: 'Shock spring rate' },
+  { path: 'shock.airPressure', label: 'Shock air pressure' },
+  { path: 'shock.volumeSpacers', label: 'Shock volume spacers' },
+  { path: 'shock.coilSpring', label: 'Shock coil spring' },
+  { path: 'shock.sag', label: 'Shock sag' },
+  { path: 'shock.lowSpeedCompression', label: 'Shock LSC' },
+  { path: 'shock.highSpeedCompression', label: 'Shock HSC' },
+  { path: 'shock.rebound', label: 'Shock rebound' },
+  { path: 'tires.front', label: 'Front tire pressure' },
+  { path: 'tires.rear', label: 'Rear tire pressure' },
+];
+
+/**
+ * Read a numeric field from a setup summary
+ * @param {object} summary - Setup summary
+ * @param {string} path - Dotted field path
+ * @returns {{value: number, unit: string}|null} Value with its unit, or null if the setup has no such field
+ */
+function getComparisonValue(summary, path) {
+  const value = path.split('.').reduce((node, key) => (node ? node[key] : null), summary);
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return typeof value === 'number' ? { value, unit: '' } : value;
+}
+
+/**
+ * Compare computed setups field by field
+ * Fields that none of the setups have (e.g., shock fields on hardtails) are left out.
+ * Values are compared as they are shown, rounded in the display unit, so values
+ * that look the same are equal and each delta is the difference of the shown values
+ * @param {Array<{label: string, setup: object}>} entries - Labelled computeSetup results (two or more)
+ * @param {object} [options] - { units (see resolveUnits) }
+ * @returns {object} { labels, rows: [{ path, label, unit, values, deltas, differs }] }; deltas are
+ *   in the row unit, relative to the first setup and null where either value is missing
+ */
+function compareSetups(entries, options = {}) {
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw new Error('Compare at least two setups');
+  }
+  const summaries = entries.map((entry) => summarizeSetup(entry.setup));
+
+  const rows = COMPARISON_FIELDS.map((field) => {
+    const quantities = summaries.map((summary) => getComparisonValue(summary, field.path));
+    const present = quantities.find(Boolean);
+    if (!present) {
+      return null;
+    }
+    const values = quantities.map((quantity) => (quantity ? quantity.value : null));
+    // Plain counts (e.g., volume spacers) are shown as whole numbers
+    const shown = quantities.map((quantity) => quantity
+      && roundQuantity(quantity, options.units, quantity.unit ? undefined : 0));
+    const base = shown[0];
+    const deltas = shown.map((quantity) => (quantity === null || base === null
+      ? null
+      : convertUnit(quantity.value - base.value, quantity.unit, present.unit)));
+    const differs = deltas.some((delta) => delta === null || delta !== 0);
+    return {
+      path: field.path,
+      label: field.label,
+      unit: present.unit,
+      values,
+      deltas,
+      differs,
+    };
+  }).filter(Boolean);
+
+  return { labels: entries.map((entry) => entry.label), rows };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COMPARISON_FIELDS,
+    compareSetups,
+  };
+}
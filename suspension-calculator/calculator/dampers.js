@@ -0,0 +1,219 @@
+/**
+ * Damper Catalogue
+ * Adjusters of real forks and shocks, used to turn the profile damping
+ * percentages into clicks from closed
+ */
+
+// Adjuster IDs and the names printed on the dampers
+const DAMPER_ADJUSTERS = {
+  lsc: 'Low-Speed Compression',
+  hsc: 'High-Speed Compression',
+  lsr: 'Low-Speed Rebound',
+  hsr: 'High-Speed Rebound',
+};
+
+// ============================================================================
+// DAMPER CATALOGUE
+// ============================================================================
+
+// Each adjuster lists its click count from fully closed (firmest/slowest) to
+// fully open and the direction that closes it. A damper with a single rebound
+// knob lists it as lsr; adjusters a damper lacks are left out
+const DAMPER_CATALOGUE = {
+  // Forks
+  foxGrip2: {
+    name: 'Fox GRIP2',
+    type: 'fork',
+    adjusters: {
+      lsc: { clicks: 16, closes: 'clockwise' },
+      hsc: { clicks: 8, closes: 'clockwise' },
+      lsr: { clicks: 16, closes: 'clockwise' },
+      hsr: { clicks: 8, closes: 'clockwise' },
+    },
+  },
+
+  foxGrip: {
+    name: 'Fox GRIP',
+    type: 'fork',
+    adjusters: {
+      lsc: { clicks: 22, closes: 'clockwise' },
+      lsr: { clicks: 18, closes: 'clockwise' },
+    },
+  },
+
+  rockshoxCharger3RC2: {
+    name: 'RockShox Charger 3 RC2',
+    type: 'fork',
+    adjusters: {
+      lsc: { clicks: 5, closes: 'clockwise' },
+      hsc: { clicks: 5, closes: 'clockwise' },
+      lsr: { clicks: 20, closes: 'clockwise' },
+    },
+  },
+
+  rockshoxCharger3RC: {
+    name: 'RockShox Charger 3 RC',
+    type: 'fork',
+    adjusters: {
+      lsc: { clicks: 5, closes: 'clockwise' },
+      lsr: { clicks: 20, closes: 'clockwise' },
+    },
+  },
+
+  rockshoxRushRC: {
+    name: 'RockShox Rush RC',
+    type: 'fork',
+    adjusters: {
+      lsr: { clicks: 15, closes: 'clockwise' },
+    },
+  },
+
+  // Shocks
+  foxFloatX2: {
+    name: 'Fox Float X2',
+    type: 'shock',
+    adjusters: {
+      lsc: { clicks: 16, closes: 'clockwise' },
+      hsc: { clicks: 8, closes: 'clockwise' },
+      lsr: { clicks: 16, closes: 'clockwise' },
+      hsr: { clicks: 8, closes: 'clockwise' },
+    },
+  },
+
+  foxFloatX: {
+    name: 'Fox Float X',
+    type: 'shock',
+    adjusters: {
+      lsc: { clicks: 10, closes: 'clockwise' },
+      lsr: { clicks: 14, closes: 'clockwise' },
+    },
+  },
+
+  foxDhx2: {
+    name: 'Fox DHX2',
+    type: 'shock',
+    adjusters: {
+      lsc: { clicks: 16, closes: 'clockwise' },
+      hsc: { clicks: 8, closes: 'clockwise' },
+      lsr: { clicks: 16, closes: 'clockwise' },
+      hsr: { clicks: 8, closes: 'clockwise' },
+    },
+  },
+
+  rockshoxSuperDeluxeUltimate: {
+    name: 'RockShox Super Deluxe Ultimate',
+    type: 'shock',
+    adjusters: {
+      lsc: { clicks: 5, closes: 'clockwise' },
+      lsr: { clicks: 15, closes: 'clockwise' },
+    },
+  },
+
+  rockshoxVividUltimate: {
+    name: 'RockShox Vivid Ultimate',
+    type: 'shock',
+    adjusters: {
+      lsc: { clicks: 5, closes: 'clockwise' },
+      hsc: { clicks: 3, closes: 'clockwise' },
+      lsr: { clicks: 15, closes: 'clockwise' },
+    },
+  },
+
+  rockshoxDeluxeSelect: {
+    name: 'RockShox Deluxe Select+',
+    type: 'shock',
+    adjusters: {
+      lsr: { clicks: 10, closes: 'clockwise' },
+    },
+  },
+};
+
+// ============================================================================
+// LOOKUP FUNCTIONS
+// ============================================================================
+
+/**
+ * Get damper by ID
+ * @param {string} damperId - Damper identifier
+ * @returns {object|null} Damper configuration or null if not found
+ */
+function getDamper(damperId) {
+  return DAMPER_CATALOGUE[damperId] || null;
+}
+
+/**
+ * Get available dampers, optionally for one end of the bike
+ * @param {string} [type] - 'fork' or 'shock'
+ * @returns {Array<{id: string, name: string, type: string}>} Damper list
+ */
+function getAvailableDampers(type) {
+  return Object.keys(DAMPER_CATALOGUE)
+    .filter((id) => !type || DAMPER_CATALOGUE[id].type === type)
+    .map((id) => ({ id, name: DAMPER_CATALOGUE[id].name, type: DAMPER_CATALOGUE[id].type }));
+}
+
+// ============================================================================
+// CLICK MAPPING
+// ============================================================================
+
+/**
+ * Convert a damping percentage into clicks from closed
+ * 100% is fully closed (0 clicks), 0% is fully open (all clicks)
+ * @param {number} percentage - Damping setting in %
+ * @param {object} adjuster - Catalogue adjuster ({ clicks, closes })
+ * @returns {number} Clicks from closed
+ */
+function percentageToClicks(percentage, adjuster) {
+  if (percentage < 0 || percentage > 100) {
+    throw new Error('Damping setting must be between 0 and 100%');
+  }
+  return Math.round((adjuster.clicks * (100 - percentage)) / 100);
+}
+
+/**
+ * Map damping percentages onto the adjusters of a damper
+ * Settings for adjusters the damper lacks come back null with a note
+ * @param {string} damperId - Damper identifier
+ * @param {object} settings - Damping settings in % keyed by adjuster ({ lsc, hsc, lsr, hsr })
+ * @returns {object} { id, name, adjusters: { lsc, hsc, lsr, hsr }, notes } with each
+ *   adjuster { setting, clicks, totalClicks, closes } or null
+ */
+function mapDamperClicks(damperId, settings) {
+  const damper = getDamper(damperId);
+  if (!damper) {
+    throw new Error(`Unknown damper: ${damperId}`);
+  }
+
+  const adjusters = {};
+  const notes = [];
+  Object.keys(DAMPER_ADJUSTERS).forEach((id) => {
+    const adjuster = damper.adjusters[id];
+    if (settings[id] === undefined) {
+      adjusters[id] = null;
+    } else if (!adjuster) {
+      adjusters[id] = null;
+      notes.push(`${damper.name} has no ${DAMPER_ADJUSTERS[id].toLowerCase()} adjuster`);
+    } else {
+      adjusters[id] = {
+        setting: settings[id],
+        clicks: percentageToClicks(settings[id], adjuster),
+        totalClicks: adjuster.clicks,
+        closes: adjuster.closes,
+      };
+    }
+  });
+
+  return { id: damperId, name: damper.name, adjusters, notes };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DAMPER_ADJUSTERS,
+    DAMPER_CATALOGUE,
+    getDamper,
+    getAvailableDampers,
+    percentageToClicks,
+    mapDamperClicks,
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Frequency Response Module
+ * Transmissibility and phase of 1-DOF and 2-DOF (tire + suspension) models
+ * over a frequency sweep, with sprung resonance, wheel hop and isolation band
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { calculateNaturalFrequency, calculateDampingRatio } = require('./suspension-math.js');
+}
+
+const FREQUENCY_SWEEP_DEFAULTS = {
+  min: 0.1, // Hz
+  max: 50, // Hz
+  points: 400, // log-spaced
+};
+
+// Terrain frequency bands used to explain how a setup feels
+const TERRAIN_BANDS = {
+  rollers: { min: 0.5, max: 3 }, // Hz (rollers, compressions, pumps)
+  chatter: { min: 8, max: 20 }, // Hz (roots, braking bumps, rock gardens)
+};
+
+// Transmissibility limits beyond which a setup starts to feel wrong
+const FEEL_THRESHOLDS = {
+  wallowy: 2.5, // peak at sprung resonance
+  harsh: 0.3, // mean over the chatter band
+};
+
+// ============================================================================
+// COMPLEX ARITHMETIC
+// ============================================================================
+
+/**
+ * Multiply two complex numbers
+ * @param {{re: number, im: number}} a - First factor
+ * @param {{re: number, im: number}} b - Second factor
+ * @returns {{re: number, im: number}} Product
+ */
+function complexMultiply(a, b) {
+  return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+}
+
+/**
+ * Divide two complex numbers
+ * @param {{re: number, im: number}} a - Dividend
+ * @param {{re: number, im: number}} b - Divisor
+ * @returns {{re: number, im: number}} Quotient
+ */
+function complexDivide(a, b) {
+  const denominator = b.re * b.re + b.im * b.im;
+  return {
+    re: (a.re * b.re + a.im * b.im) / denominator,
+    im: (a.im * b.re - a.re * b.im) / denominator,
+  };
+}
+
+/**
+ * Convert a complex transfer function value to magnitude and phase
+ * @param {{re: number, im: number}} h - Transfer function value
+ * @returns {{magnitude: number, phase: number}} Magnitude and phase in degrees
+ */
+function toMagnitudePhase(h) {
+  return {
+    magnitude: Math.hypot(h.re, h.im),
+    phase: (Math.atan2(h.im, h.re) * 180) / Math.PI,
+  };
+}
+
+// ============================================================================
+// TRANSFER FUNCTIONS
+// ============================================================================
+
+/**
+ * Calculate base-excitation transmissibility of a 1-DOF system
+ * Formula: H = (1 + j2ζr) / (1 - r² + j2ζr), r = f / fn
+ * @param {number} frequency - Excitation frequency in Hz
+ * @param {number} naturalFrequency - Natural frequency in Hz
+ * @param {number} dampingRatio - Damping ratio (unitless)
+ * @returns {{magnitude: number, phase: number}} Transmissibility and phase in degrees
+ */
+function calculateTransmissibility(frequency, naturalFrequency, dampingRatio) {
+  if (frequency < 0 || naturalFrequency <= 0 || dampingRatio < 0) {
+    throw new Error('Frequency must be non-negative; natural frequency positive; damping ratio non-negative');
+  }
+  const r = frequency / naturalFrequency;
+  return toMagnitudePhase(complexDivide(
+    { re: 1, im: 2 * dampingRatio * r },
+    { re: 1 - r * r, im: 2 * dampingRatio * r }
+  ));
+}
+
+/**
+ * Calculate road-to-sprung and road-to-unsprung transmissibility of a quarter-car
+ * Formula: Zs/Zr = (k + jωc)(kt + jωct) / det, Zu/Zr = (k - msω² + jωc)(kt + jωct) / det,
+ *          det = (k - msω² + jωc)(k + kt - muω² + jω(c + ct)) - (k + jωc)²
+ * @param {number} frequency - Excitation frequency in Hz
+ * @param {object} model - { sprungMass, unsprungMass (kg), springRate, tireStiffness (N/m), damping, tireDamping (N·s/m) }
+ * @returns {{sprung: object, unsprung: object}} Magnitude and phase (degrees) for each mass
+ */
+function calculateQuarterCarTransmissibility(frequency, model) {
+  const omega = 2 * Math.PI * frequency;
+  const { sprungMass, unsprungMass, springRate, tireStiffness, damping, tireDamping = 0 } = model;
+
+  const suspension = { re: springRate, im: omega * damping };
+  const tire = { re: tireStiffness, im: omega * tireDamping };
+  const sprungTerm = { re: springRate - sprungMass * omega * omega, im: omega * damping };
+  const unsprungTerm = {
+    re: springRate + tireStiffness - unsprungMass * omega * omega,
+    im: omega * (damping + tireDamping),
+  };
+  const product = complexMultiply(sprungTerm, unsprungTerm);
+  const coupling = complexMultiply(suspension, suspension);
+  const determinant = { re: product.re - coupling.re, im: product.im - coupling.im };
+
+  return {
+    sprung: toMagnitudePhase(complexDivide(complexMultiply(suspension, tire), determinant)),
+    unsprung: toMagnitudePhase(complexDivide(complexMultiply(sprungTerm, tire), determinant)),
+  };
+}
+
+// ============================================================================
+// SWEEP ANALYSIS
+// ============================================================================
+
+/**
+ * Generate log-spaced sweep frequencies
+ * @param {object} [sweep] - { min, max (Hz), points }
+ * @returns {number[]} Frequencies in Hz
+ */
+function generateFrequencySweep(sweep = {}) {
+  const { min, max, points } = Object.assign({}, FREQUENCY_SWEEP_DEFAULTS, sweep);
+  if (min <= 0 || max <= min || points < 2) {
+    throw new Error('Sweep needs 0 < min < max and at least two points');
+  }
+  const ratio = Math.log(max / min) / (points - 1);
+  return Array.from({ length: points }, (_, i) => min * Math.exp(ratio * i));
+}
+
+/**
+ * Find the sweep point with the largest magnitude within a frequency range
+ * @param {Array<{frequency: number, magnitude: number}>} response - Sweep results
+ * @param {number} [min=0] - Lower frequency bound in Hz
+ * @param {number} [max=Infinity] - Upper frequency bound in Hz
+ * @returns {{frequency: number, magnitude: number}|null} Peak point
+ */
+function findResponsePeak(response, min = 0, max = Infinity) {
+  return response
+    .filter((point) => point.frequency >= min && point.frequency <= max)
+    .reduce((peak, point) => (!peak || point.magnitude > peak.magnitude ? point : peak), null);
+}
+
+/**
+ * Find the band above resonance where transmissibility stays below 1
+ * @param {Array<{frequency: number, magnitude: number}>} response - Sweep results
+ * @param {number} resonance - Resonance frequency in Hz
+ * @returns {{start: number, end: number|null}|null} Band in Hz (end null if it extends past the sweep)
+ */
+function findIsolationBand(response, resonance) {
+  const startIndex = response.findIndex((point) => point.frequency > resonance && point.magnitude < 1);
+  if (startIndex === -1) {
+    return null;
+  }
+  const endIndex = response.findIndex((point, i) => i > startIndex && point.magnitude >= 1);
+  return {
+    start: response[startIndex].frequency,
+    end: endIndex === -1 ? null : response[endIndex].frequency,
+  };
+}
+
+/**
+ * Average magnitude within a frequency band
+ * @param {Array<{frequency: number, magnitude: number}>} response - Sweep results
+ * @param {{min: number, max: number}} band - Band in Hz
+ * @returns {number|null} Mean transmissibility, or null if the sweep misses the band
+ */
+function averageTransmissibility(response, band) {
+  const points = response.filter((point) => point.frequency >= band.min && point.frequency <= band.max);
+  if (!points.length) {
+    return null;
+  }
+  return points.reduce((sum, point) => sum + point.magnitude, 0) / points.length;
+}
+
+/**
+ * Analyze the frequency response of one end of the bike
+ * Linear analysis: asymmetric damping is replaced by the mean of compression
+ * and rebound damping
+ * @param {object} params - Model parameters (SI units, same shape as simulateQuarterCar)
+ * @param {number} params.sprungMass - Sprung mass in kg
+ * @param {number} params.unsprungMass - Unsprung mass in kg
+ * @param {number} params.springRate - Wheel rate in N/m
+ * @param {number|{compression: number, rebound: number}} params.damping - Damping coefficient(s) in N·s/m
+ * @param {number} params.tireStiffness - Tire vertical stiffness in N/m
+ * @param {number} [params.tireDamping=0] - Tire damping in N·s/m
+ * @param {object} [params.sweep] - { min, max (Hz), points }
+ * @returns {object} Sweep results, resonances, isolation band, terrain band transmissibility and feel notes;
+ *   a resonance's frequency and transmissibility, the isolation band or a band's transmissibility
+ *   are null when the sweep doesn't reach them
+ */
+function analyzeFrequencyResponse(params) {
+  const damping = typeof params.damping === 'number'
+    ? params.damping
+    : (params.damping.compression + params.damping.rebound) / 2;
+  const { sprungMass, unsprungMass, springRate, tireStiffness } = params;
+  if (sprungMass <= 0 || unsprungMass <= 0 || springRate <= 0 || tireStiffness <= 0) {
+    throw new Error('Masses, spring rate and tire stiffness must be positive values');
+  }
+  const model = Object.assign({}, params, { damping });
+
+  const naturalFrequency = calculateNaturalFrequency(springRate, sprungMass);
+  const dampingRatio = calculateDampingRatio(damping, springRate, sprungMass);
+  const frequencies = generateFrequencySweep(params.sweep);
+
+  const oneDof = [];
+  const sprung = [];
+  const unsprung = [];
+  frequencies.forEach((frequency) => {
+    oneDof.push(Object.assign({ frequency }, calculateTransmissibility(frequency, naturalFrequency, dampingRatio)));
+    const response = calculateQuarterCarTransmissibility(frequency, model);
+    sprung.push(Object.assign({ frequency }, response.sprung));
+    unsprung.push(Object.assign({ frequency }, response.unsprung));
+  });
+
+  // Undamped estimates: body on the suspension and tire in series, wheel between both springs
+  const rideRate = (springRate * tireStiffness) / (springRate + tireStiffness);
+  const rideFrequency = calculateNaturalFrequency(rideRate, sprungMass);
+  const wheelHopFrequency = calculateNaturalFrequency(springRate + tireStiffness, unsprungMass);
+  const splitFrequency = Math.sqrt(rideFrequency * wheelHopFrequency);
+
+  const sprungResonance = findResponsePeak(sprung, 0, splitFrequency);
+  const wheelHop = findResponsePeak(unsprung, wheelHopFrequency / 2, wheelHopFrequency * 1.5)
+    || findResponsePeak(unsprung, splitFrequency);
+  const rollers = averageTransmissibility(sprung, TERRAIN_BANDS.rollers);
+  const chatter = averageTransmissibility(sprung, TERRAIN_BANDS.chatter);
+
+  const notes = [];
+  if (sprungResonance && sprungResonance.magnitude > FEEL_THRESHOLDS.wallowy) {
+    notes.push(`Wallowy on rollers: body motion is amplified ${sprungResonance.magnitude.toFixed(1)}x `
+      + `near ${sprungResonance.frequency.toFixed(1)} Hz; more damping will control it`);
+  }
+  if (chatter !== null && chatter > FEEL_THRESHOLDS.harsh) {
+    notes.push(`Harsh on chatter: ${Math.round(chatter * 100)}% of ${TERRAIN_BANDS.chatter.min}-`
+      + `${TERRAIN_BANDS.chatter.max} Hz input reaches the rider; less damping will isolate it`);
+  }
+
+  return {
+    naturalFrequency,
+    dampingRatio,
+    oneDof,
+    twoDof: { sprung, unsprung },
+    sprungResonance: {
+      frequency: sprungResonance ? sprungResonance.frequency : null,
+      transmissibility: sprungResonance ? sprungResonance.magnitude : null,
+      undampedFrequency: rideFrequency,
+    },
+    wheelHop: {
+      frequency: wheelHop ? wheelHop.frequency : null,
+      transmissibility: wheelHop ? wheelHop.magnitude : null,
+      undampedFrequency: wheelHopFrequency,
+    },
+    isolationBand: sprungResonance ? findIsolationBand(sprung, sprungResonance.frequency) : null,
+    terrain: {
+      rollers: Object.assign({ transmissibility: rollers }, TERRAIN_BANDS.rollers),
+      chatter: Object.assign({ transmissibility: chatter }, TERRAIN_BANDS.chatter),
+    },
+    notes,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FREQUENCY_SWEEP_DEFAULTS,
+    TERRAIN_BANDS,
+    FEEL_THRESHOLDS,
+    calculateTransmissibility,
+    calculateQuarterCarTransmissibility,
+    generateFrequencySweep,
+    analyzeFrequencyResponse,
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Garage Module
+ * Named bikes with their preset, components and a timestamped history of
+ * setup versions, persisted in localStorage
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { deepClone, saveToLocalStorage, loadFromLocalStorage } = require('./utils.js');
+}
+
+const GARAGE_STORAGE_KEY = 'suspensionCalculator.garage';
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Create an empty garage
+ * @returns {{bikes: Array<object>}} Garage
+ */
+function createGarage() {
+  return { bikes: [] };
+}
+
+/**
+ * Load the garage from localStorage
+ * @param {string} [key] - Storage key
+ * @returns {{bikes: Array<object>}} Stored garage, or an empty one
+ */
+function loadGarage(key = GARAGE_STORAGE_KEY) {
+  const garage = loadFromLocalStorage(key);
+  return garage && Array.isArray(garage.bikes) ? garage : createGarage();
+}
+
+/**
+ * Save the garage to localStorage
+ * @param {{bikes: Array<object>}} garage - Garage
+ * @param {string} [key] - Storage key
+ * @returns {boolean} True if successful, false otherwise
+ */
+function saveGarage(garage, key = GARAGE_STORAGE_KEY) {
+  return saveToLocalStorage(key, garage);
+}
+
+// ============================================================================
+// BIKES
+// ============================================================================
+
+/**
+ * Get a bike from the garage
+ * @param {object} garage - Garage
+ * @param {string} bikeId - Bike identifier
+ * @returns {object|null} Bike or null if not found
+ */
+function getGarageBike(garage, bikeId) {
+  return garage.bikes.find((bike) => bike.id === bikeId) || null;
+}
+
+/**
+ * Add a named bike to the garage
+ * @param {object} garage - Garage (modified in place)
+ * @param {object} bike - { name, preset, components }
+ * @returns {object} Added bike with its ID and an empty history
+ */
+function addGarageBike(garage, { name, preset = null, components = {} }) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Bike name is required');
+  }
+  if (garage.bikes.some((bike) => bike.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A bike named "${trimmed}" is already in the garage`);
+  }
+  const bike = {
+    id: `bike-${Date.now().toString(36)}-${garage.bikes.length}`,
+    name: trimmed,
+    preset,
+    components: deepClone(components),
+    history: [],
+  };
+  garage.bikes.push(bike);
+  return bike;
+}
+
+/**
+ * Update a bike's name, preset or components
+ * @param {object} garage - Garage (modified in place)
+ * @param {string} bikeId - Bike identifier
+ * @param {object} changes - { name, preset, components }
+ * @returns {object} Updated bike
+ */
+function updateGarageBike(garage, bikeId, changes) {
+  const bike = getGarageBike(garage, bikeId);
+  if (!bike) {
+    throw new Error(`Unknown bike: ${bikeId}`);
+  }
+  ['name', 'preset', 'components'].forEach((field) => {
+    if (changes[field] !== undefined) {
+      bike[field] = deepClone(changes[field]);
+    }
+  });
+  return bike;
+}
+
+/**
+ * Remove a bike and its history from the garage
+ * @param {object} garage - Garage (modified in place)
+ * @param {string} bikeId - Bike identifier
+ * @returns {boolean} True if a bike was removed
+ */
+function removeGarageBike(garage, bikeId) {
+  const index = garage.bikes.findIndex((bike) => bike.id === bikeId);
+  if (index === -1) {
+    return false;
+  }
+  garage.bikes.splice(index, 1);
+  return true;
+}
+
+// ============================================================================
+// SETUP HISTORY
+// ============================================================================
+
+/**
+ * Reduce a computed setup to the values worth keeping in the history
+ * @param {object} setup - Result of computeSetup
+ * @returns {object} Mass, tire pressures and the spring, damping and sag values per end
+ */
+function summarizeSetup(setup) {
+  const end = (endSetup) => endSetup && {
+    springRate: endSetup.springRate,
+    airPressure: endSetup.airPressure,
+    volumeSpacers: endSetup.volumeSpacers ? endSetup.volumeSpacers.tokens : null,
+    coilSpring: endSetup.coilSpring ? endSetup.coilSpring.recommended.rate : null,
+    sag: endSetup.sag,
+    lowSpeedCompression: endSetup.compression.lowSpeed,
+    highSpeedCompression: endSetup.compression.highSpeed,
+    rebound: endSetup.rebound.setting,
+  };
+  return {
+    totalMass: setup.totalMass,
+    fork: end(setup.fork),
+    shock: end(setup.shock),
+    tires: setup.tires ? { front: setup.tires.front.pressure, rear: setup.tires.rear.pressure } : null,
+  };
+}
+
+/**
+ * Save a new setup version to a bike's history
+ * @param {object} garage - Garage (modified in place)
+ * @param {string} bikeId - Bike identifier
+ * @param {object} entry - { input (form or computeSetup input), setup (computeSetup result), note }
+ * @returns {object} Saved version ({ version, savedAt, note, input, results }); the app adds
+ *   the version's tuning log as tuning (see tuning-log.js)
+ */
+function saveSetupVersion(garage, bikeId, { input, setup, note = '' }) {
+  const bike = getGarageBike(garage, bikeId);
+  if (!bike) {
+    throw new Error(`Unknown bike: ${bikeId}`);
+  }
+  const last = bike.history[bike.history.length - 1];
+  const version = {
+    version: last ? last.version + 1 : 1,
+    savedAt: new Date().toISOString(),
+    note,
+    input: deepClone(input),
+    results: setup ? summarizeSetup(setup) : null,
+  };
+  bike.history.push(version);
+  return version;
+}
+
+/**
+ * Get one version from a bike's history
+ * @param {object} garage - Garage
+ * @param {string} bikeId - Bike identifier
+ * @param {number} version - Version number
+ * @returns {object} Version entry
+ */
+function getSetupVersion(garage, bikeId, version) {
+  const bike = getGarageBike(garage, bikeId);
+  if (!bike) {
+    throw new Error(`Unknown bike: ${bikeId}`);
+  }
+  const entry = bike.history.find((item) => item.version === version);
+  if (!entry) {
+    throw new Error(`${bike.name} has no setup version ${version}`);
+  }
+  return entry;
+}
+
+/**
+ * Restore a previous version's input
+ * The history is left untouched; saving the restored setup adds a new version
+ * @param {object} garage - Garage
+ * @param {string} bikeId - Bike identifier
+ * @param {number} version - Version number
+ * @returns {object} Copy of the saved input
+ */
+function restoreSetupVersion(garage, bikeId, version) {
+  return deepClone(getSetupVersion(garage, bikeId, version).input);
+}
+
+/**
+ * Flatten an object to dotted paths; { value, unit } quantities are kept as leaves
+ * @param {*} value - Value to flatten
+ * @param {string} [prefix=''] - Path of the value
+ * @param {object} [result={}] - Accumulated paths
+ * @returns {object} Leaf values keyed by path
+ */
+function flattenSetupFields(value, prefix = '', result = {}) {
+  const isQuantity = value && typeof value === 'object' && 'value' in value && 'unit' in value;
+  if (value === null || typeof value !== 'object' || isQuantity || Array.isArray(value)) {
+    result[prefix] = value;
+    return result;
+  }
+  Object.keys(value).forEach((key) => {
+    flattenSetupFields(value[key], prefix ? `${prefix}.${key}` : key, result);
+  });
+  return result;
+}
+
+/**
+ * Compare two versions of a bike's setup field by field
+ * @param {object} garage - Garage
+ * @param {string} bikeId - Bike identifier
+ * @param {number} fromVersion - Older version number
+ * @param {number} toVersion - Newer version number
+ * @returns {Array<{field: string, from: *, to: *}>} Changed input and result fields
+ */
+function diffSetupVersions(garage, bikeId, fromVersion, toVersion) {
+  const pick = (entry) => flattenSetupFields({ input: entry.input, results: entry.results });
+  const from = pick(getSetupVersion(garage, bikeId, fromVersion));
+  const to = pick(getSetupVersion(garage, bikeId, toVersion));
+
+  const fields = Object.keys(from).concat(Object.keys(to).filter((field) => !(field in from)));
+  return fields
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map((field) => ({
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field],
+    }));
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GARAGE_STORAGE_KEY,
+    createGarage,
+    loadGarage,
+    saveGarage,
+    getGarageBike,
+    addGarageBike,
+    updateGarageBike,
+    removeGarageBike,
+    summarizeSetup,
+    saveSetupVersion,
+    getSetupVersion,
+    restoreSetupVersion,
+    diffSetupVersions,
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Leverage Ratio Module
+ * Rear linkage leverage curves: shock stroke at any wheel travel, leverage
+ * ratio, wheel rate and progression
+ *
+ * A leverage curve is an array of [wheel travel, shock stroke] points in mm,
+ * starting at [0, 0] and increasing in both columns.
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { calculateWheelRate } = require('./suspension-math.js');
+}
+
+/**
+ * Check that a leverage curve is well formed
+ * @param {Array<number[]>} curve - [wheel travel, shock stroke] points in mm
+ * @returns {Array<number[]>} The same curve
+ */
+function validateLeverageCurve(curve) {
+  if (!Array.isArray(curve) || curve.length < 2) {
+    throw new Error('Leverage curve needs at least two points');
+  }
+  if (curve[0][0] !== 0 || curve[0][1] !== 0) {
+    throw new Error('Leverage curve must start at [0, 0]');
+  }
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i][0] <= curve[i - 1][0] || curve[i][1] <= curve[i - 1][1]) {
+      throw new Error('Leverage curve points must increase in wheel travel and shock stroke');
+    }
+  }
+  return curve;
+}
+
+/**
+ * Create a constant-ratio leverage curve for frames without curve data
+ * @param {number} travel - Wheel travel in mm
+ * @param {number} stroke - Shock stroke in mm
+ * @returns {Array<number[]>} Two-point leverage curve
+ */
+function createLinearLeverageCurve(travel, stroke) {
+  if (travel <= 0 || stroke <= 0) {
+    throw new Error('Travel and stroke must be positive values');
+  }
+  return [[0, 0], [travel, stroke]];
+}
+
+/**
+ * Scale a leverage curve to a different wheel travel, keeping its shape
+ * @param {Array<number[]>} curve - Leverage curve
+ * @param {number} travel - New wheel travel in mm
+ * @returns {Array<number[]>} Scaled leverage curve
+ */
+function scaleLeverageCurve(curve, travel) {
+  validateLeverageCurve(curve);
+  const scale = travel / curve[curve.length - 1][0];
+  return curve.map(([wheel, shock]) => [wheel * scale, shock * scale]);
+}
+
+/**
+ * Linearly interpolate one column of a leverage curve from the other
+ * @param {Array<number[]>} curve - Leverage curve
+ * @param {number} from - Column index to look up (0 wheel, 1 shock)
+ * @param {number} value - Value in the lookup column in mm
+ * @returns {number} Interpolated value of the other column in mm
+ */
+function interpolateLeverageCurve(curve, from, value) {
+  const to = 1 - from;
+  const last = curve[curve.length - 1];
+  if (value < 0 || value > last[from]) {
+    throw new Error(`Value ${value} mm is outside the leverage curve`);
+  }
+  for (let i = 1; i < curve.length; i++) {
+    if (value <= curve[i][from]) {
+      const [a, b] = [curve[i - 1], curve[i]];
+      const t = (value - a[from]) / (b[from] - a[from]);
+      return a[to] + t * (b[to] - a[to]);
+    }
+  }
+  return last[to];
+}
+
+/**
+ * Get the shock stroke used at a wheel travel position
+ * @param {Array<number[]>} curve - Leverage curve
+ * @param {number} wheelTravel - Wheel travel in mm
+ * @returns {number} Shock stroke in mm
+ */
+function getShockStrokeAt(curve, wheelTravel) {
+  validateLeverageCurve(curve);
+  return interpolateLeverageCurve(curve, 0, wheelTravel);
+}
+
+/**
+ * Get the wheel travel position for a shock stroke (e.g., measured shock sag)
+ * @param {Array<number[]>} curve - Leverage curve
+ * @param {number} shockStroke - Shock stroke in mm
+ * @returns {number} Wheel travel in mm
+ */
+function getWheelTravelAt(curve, shockStroke) {
+  validateLeverageCurve(curve);
+  return interpolateLeverageCurve(curve, 1, shockStroke);
+}
+
+/**
+ * Get the instantaneous leverage ratio at a wheel travel position
+ * Segment ratios (Δwheel / Δshock) are placed at segment midpoints and
+ * interpolated between them; beyond the first/last midpoint they are held
+ * @param {Array<number[]>} curve - Leverage curve
+ * @param {number} wheelTravel - Wheel travel in mm
+ * @returns {number} Leverage ratio (unitless)
+ */
+function getLeverageRatioAt(curve, wheelTravel) {
+  validateLeverageCurve(curve);
+  const travel = curve[curve.length - 1][0];
+  if (wheelTravel < 0 || wheelTravel > travel) {
+    throw new Error(`Wheel travel ${wheelTravel} mm is outside the leverage curve`);
+  }
+
+  const segments = [];
+  for (let i = 1; i < curve.length; i++) {
+    const [a, b] = [curve[i - 1], curve[i]];
+    segments.push([(a[0] + b[0]) / 2, (b[0] - a[0]) / (b[1] - a[1])]);
+  }
+
+  if (wheelTravel <= segments[0][0]) {
+    return segments[0][1];
+  }
+  for (let i = 1; i < segments.length; i++) {
+    if (wheelTravel <= segments[i][0]) {
+      const [a, b] = [segments[i - 1], segments[i]];
+      const t = (wheelTravel - a[0]) / (b[0] - a[0]);
+      return a[1] + t * (b[1] - a[1]);
+    }
+  }
+  return segments[segments.length - 1][1];
+}
+
+/**
+ * Calculate wheel rate at a wheel travel position
+ * Formula: k_wheel = k_spring / LR(x)²
+ * @param {Array<number[]>} curve - Leverage curve
+ * @param {number} springRate - Spring rate at the shock in N/m
+ * @param {number} wheelTravel - Wheel travel in mm
+ * @returns {number} Wheel rate in N/m
+ */
+function calculateWheelRateAt(curve, springRate, wheelTravel) {
+  return calculateWheelRate(springRate, getLeverageRatioAt(curve, wheelTravel));
+}
+
+/**
+ * Summarize a leverage curve
+ * @param {Array<number[]>} curve - Leverage curve
+ * @returns {object} { travel, stroke (mm), startingRatio, endingRatio, averageRatio, progression (%) }
+ */
+function analyzeLeverageCurve(curve) {
+  validateLeverageCurve(curve);
+  const [travel, stroke] = curve[curve.length - 1];
+  const startingRatio = getLeverageRatioAt(curve, 0);
+  const endingRatio = getLeverageRatioAt(curve, travel);
+  return {
+    travel,
+    stroke,
+    startingRatio,
+    endingRatio,
+    averageRatio: travel / stroke,
+    progression: ((startingRatio - endingRatio) / startingRatio) * 100,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateLeverageCurve,
+    createLinearLeverageCurve,
+    scaleLeverageCurve,
+    getShockStrokeAt,
+    getWheelTravelAt,
+    getLeverageRatioAt,
+    calculateWheelRateAt,
+    analyzeLeverageCurve,
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Mass Model Module
+ * Rider, riding gear and bike mass split between the front and rear ends and
+ * separated into sprung and unsprung mass
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { formatQuantity } = require('./utils.js');
+}
+
+// Front share of the total mass by bike category and riding position
+const WEIGHT_DISTRIBUTION = {
+  mtb: { seated: 0.35, standing: 0.4, attack: 0.45 },
+  emtb: { seated: 0.38, standing: 0.42, attack: 0.46 },
+  gravel: { seated: 0.4, standing: 0.45, attack: 0.48 },
+};
+
+const MASS_MODEL_DEFAULTS = {
+  category: 'mtb',
+  position: 'standing', // sag is set standing on the pedals
+  unsprungMass: { front: 3.6, rear: 4.6 }, // kg
+  scaleTolerance: 0.05, // share of total before scale readings are flagged
+};
+
+/**
+ * Get the default front share of total mass
+ * @param {string} [category='mtb'] - Bike category ('mtb', 'emtb', 'gravel')
+ * @param {string} [position='standing'] - Riding position ('seated', 'standing', 'attack')
+ * @returns {number} Front share (0-1)
+ */
+function getDefaultFrontShare(category = MASS_MODEL_DEFAULTS.category, position = MASS_MODEL_DEFAULTS.position) {
+  const distribution = WEIGHT_DISTRIBUTION[category];
+  if (!distribution) {
+    throw new Error(`Unknown bike category: ${category}`);
+  }
+  if (distribution[position] === undefined) {
+    throw new Error(`Unknown riding position: ${position}`);
+  }
+  return distribution[position];
+}
+
+/**
+ * Split one end's mass into sprung and unsprung mass
+ * @param {number} total - Mass carried by this wheel in kg
+ * @param {number} unsprung - Unsprung mass at this end in kg
+ * @returns {{total: number, sprung: number, unsprung: number}} Masses in kg
+ */
+function splitEndMass(total, unsprung) {
+  if (unsprung < 0 || unsprung >= total) {
+    throw new Error('Unsprung mass must be non-negative and less than the mass on that wheel');
+  }
+  return { total, sprung: total - unsprung, unsprung };
+}
+
+/**
+ * Build the mass model for a rider on a bike
+ * The front/rear split comes from scale readings when both are given,
+ * otherwise from the default distribution for the category and position
+ * @param {object} params - Mass model parameters (all masses in kg)
+ * @param {number} params.rider - Rider mass
+ * @param {number} [params.gear=0] - Riding kit, pack and water
+ * @param {number} params.bike - Bike mass
+ * @param {string} [params.category='mtb'] - Bike category
+ * @param {string} [params.position='standing'] - Riding position
+ * @param {{front: number, rear: number}} [params.unsprungMass] - Unsprung mass per end
+ * @param {{front: number, rear: number}} [params.scales] - Scale readings under each wheel
+ * @param {object} [params.units] - Display units for the warnings (see resolveUnits)
+ * @returns {object} { total, frontShare, source, front, rear, warnings } with front/rear { total, sprung, unsprung }
+ */
+function calculateMassModel({
+  rider,
+  gear = 0,
+  bike,
+  category = MASS_MODEL_DEFAULTS.category,
+  position = MASS_MODEL_DEFAULTS.position,
+  unsprungMass = MASS_MODEL_DEFAULTS.unsprungMass,
+  scales,
+  units,
+}) {
+  if (!(rider > 0) || !(gear >= 0) || !(bike >= 0)) {
+    throw new Error('Rider mass must be positive; gear and bike mass must be non-negative');
+  }
+
+  const warnings = [];
+  let total = rider + gear + bike;
+  let frontShare;
+  let source;
+
+  if (scales) {
+    if (!(scales.front > 0) || !(scales.rear > 0)) {
+      throw new Error('Both scale readings must be positive values');
+    }
+    const measured = scales.front + scales.rear;
+    if (Math.abs(measured - total) / total > MASS_MODEL_DEFAULTS.scaleTolerance) {
+      const kg = (value) => formatQuantity({ value, unit: 'kg' }, units);
+      warnings.push(`Scale readings (${kg(measured)}) differ from rider, gear and bike `
+        + `(${kg(total)}); using the scale readings`);
+    }
+    total = measured;
+    frontShare = scales.front / measured;
+    source = 'scales';
+  } else {
+    frontShare = getDefaultFrontShare(category, position);
+    source = 'default';
+  }
+
+  return {
+    total,
+    frontShare,
+    source,
+    front: splitEndMass(total * frontShare, unsprungMass.front),
+    rear: splitEndMass(total * (1 - frontShare), unsprungMass.rear),
+    warnings,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WEIGHT_DISTRIBUTION,
+    MASS_MODEL_DEFAULTS,
+    getDefaultFrontShare,
+    calculateMassModel,
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Pitch Balance Module
+ * Front/rear natural frequency comparison: the rear wheel meets a bump after
+ * the front, so the rear should run slightly faster for the bike to settle
+ * level instead of pitching
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { calculateNaturalFrequency } = require('./suspension-math.js');
+}
+
+// Rear / front natural frequency ratios: the range that rides level, and the
+// wider range outside of which the mismatch makes the bike pitch
+const PITCH_BALANCE_TARGET = {
+  min: 1.0,
+  ideal: 1.05,
+  max: 1.2,
+  pitchMin: 0.95,
+  pitchMax: 1.3,
+};
+
+/**
+ * Calculate the spring rate change that moves one end to a target frequency
+ * Formula: k_new / k = (f_target / f)²
+ * @param {number} frequency - Current natural frequency in Hz
+ * @param {number} targetFrequency - Target natural frequency in Hz
+ * @returns {number} Spring rate change in %
+ */
+function calculateRateChangeForFrequency(frequency, targetFrequency) {
+  return (Math.pow(targetFrequency / frequency, 2) - 1) * 100;
+}
+
+/**
+ * Calculate the largest rear sag that keeps the rear at least as fast as the front
+ * A spring set to sag s under its load has f = √(g / s) / 2π, so the
+ * rear/front ratio is √(s_front / s_rear) and the rear sag may be at most
+ * s_front / min²
+ * @param {number} frontSag - Front sag in mm
+ * @param {number} rearTravel - Rear wheel travel in mm
+ * @param {object} [target] - Rear/front ratio range (see PITCH_BALANCE_TARGET)
+ * @returns {number} Largest rear sag in % of the rear travel, rounded down to 0.1%
+ */
+function calculateBalancedRearSag(frontSag, rearTravel, target = PITCH_BALANCE_TARGET) {
+  return Math.floor(((frontSag / Math.pow(target.min, 2)) / rearTravel) * 1000) / 10;
+}
+
+/**
+ * Analyze front/rear natural frequency balance
+ * @param {object} front - { springRate (N/m), sprungMass (kg) } at the front wheel
+ * @param {object} rear - { springRate (N/m), sprungMass (kg) } at the rear wheel
+ * @param {object} [target] - Rear/front ratio range { min, ideal, max, pitchMin, pitchMax }
+ * @returns {object} Frequencies (Hz), ratio, status, flags, warnings and a rebalancing suggestion
+ */
+function analyzePitchBalance(front, rear, target = PITCH_BALANCE_TARGET) {
+  const frontFrequency = calculateNaturalFrequency(front.springRate, front.sprungMass);
+  const rearFrequency = calculateNaturalFrequency(rear.springRate, rear.sprungMass);
+  // Rounded so equal frequencies that differ in the last bits are not an imbalance
+  const ratio = Math.round((rearFrequency / frontFrequency) * 10000) / 10000;
+
+  const frontFaster = ratio < 1;
+  const pitching = ratio < target.pitchMin || ratio > target.pitchMax;
+
+  let status = 'balanced';
+  const warnings = [];
+  if (ratio < target.min) {
+    status = 'front-faster';
+    warnings.push(`Front (${frontFrequency.toFixed(2)} Hz) is faster than the rear `
+      + `(${rearFrequency.toFixed(2)} Hz)`
+      + (pitching ? ': the bike will pitch forward over bumps' : ''));
+  } else if (ratio > target.max) {
+    status = 'rear-too-fast';
+    warnings.push(`Rear (${rearFrequency.toFixed(2)} Hz) is ${Math.round((ratio - 1) * 100)}% faster `
+      + `than the front (${frontFrequency.toFixed(2)} Hz)`
+      + (pitching ? ': the rear will kick and pitch the bike' : ''));
+  }
+
+  let suggestion = null;
+  if (status !== 'balanced') {
+    const options = [
+      {
+        end: 'front',
+        springRateChange: calculateRateChangeForFrequency(frontFrequency, rearFrequency / target.ideal),
+      },
+      {
+        end: 'rear',
+        springRateChange: calculateRateChangeForFrequency(rearFrequency, frontFrequency * target.ideal),
+      },
+    ].sort((a, b) => Math.abs(a.springRateChange) - Math.abs(b.springRateChange));
+
+    const best = options[0];
+    const direction = best.springRateChange > 0 ? 'Stiffen' : 'Soften';
+    suggestion = Object.assign({}, best, {
+      message: `${direction} the ${best.end === 'front' ? 'fork' : 'shock'} spring by about `
+        + `${Math.abs(best.springRateChange).toFixed(0)}% to reach a ${target.ideal.toFixed(2)} rear/front ratio`,
+      alternatives: options.slice(1),
+    });
+  }
+
+  return {
+    frontFrequency,
+    rearFrequency,
+    ratio,
+    target,
+    status,
+    frontFaster,
+    pitching,
+    warnings,
+    suggestion,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PITCH_BALANCE_TARGET,
+    calculateRateChangeForFrequency,
+    calculateBalancedRearSag,
+    analyzePitchBalance,
+  };
+}
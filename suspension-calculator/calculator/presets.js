@@ -19,10 +19,18 @@ const BIKE_PRESETS = {
         type: 'air',
         minTravel: 80,
         maxTravel: 150,
+        airChamber: { // mm, cm³
+          pistonDiameter: 32,
+          positiveVolume: 120,
+          negativeVolume: 40,
+          tokenVolume: 6,
+          maxTokens: 5,
+        },
       },
       rear: null,
     },
     weight: 12.5, // kg (bike only)
+    unsprungMass: { front: 3.2, rear: 3.8 }, // kg (wheel, tire, brake, lowers or swingarm share)
     purpose: 'Cross-country and trail riding',
     description: 'Lightweight bike optimized for efficiency and climbing',
   },
@@ -37,15 +45,34 @@ const BIKE_PRESETS = {
         type: 'air',
         minTravel: 120,
         maxTravel: 160,
+        airChamber: { // mm, cm³
+          pistonDiameter: 35,
+          positiveVolume: 200,
+          negativeVolume: 70,
+          tokenVolume: 6,
+          maxTokens: 5,
+        },
       },
       rear: {
         travel: 130, // mm
         type: 'air',
         minTravel: 110,
         maxTravel: 150,
+        stroke: 55, // mm (shock stroke)
+        leverageCurve: [ // [wheel travel, shock stroke] in mm
+          [0, 0], [26, 10.1], [52, 20.6], [78, 31.5], [104, 43], [130, 55],
+        ],
+        airChamber: { // mm, cm³
+          pistonDiameter: 45,
+          positiveVolume: 130,
+          negativeVolume: 45,
+          tokenVolume: 3,
+          maxTokens: 6,
+        },
       },
     },
     weight: 13.5, // kg
+    unsprungMass: { front: 3.6, rear: 4.6 }, // kg
     purpose: 'All-mountain trail riding',
     description: 'Balanced suspension for technical descents and climbing',
   },
@@ -60,15 +87,34 @@ const BIKE_PRESETS = {
         type: 'air',
         minTravel: 150,
         maxTravel: 180,
+        airChamber: { // mm, cm³
+          pistonDiameter: 35,
+          positiveVolume: 230,
+          negativeVolume: 80,
+          tokenVolume: 6,
+          maxTokens: 5,
+        },
       },
       rear: {
         travel: 150, // mm
         type: 'air',
         minTravel: 140,
         maxTravel: 170,
+        stroke: 62.5, // mm (shock stroke)
+        leverageCurve: [ // [wheel travel, shock stroke] in mm
+          [0, 0], [30, 11.1], [60, 22.9], [90, 35.3], [120, 48.5], [150, 62.5],
+        ],
+        airChamber: { // mm, cm³
+          pistonDiameter: 45,
+          positiveVolume: 150,
+          negativeVolume: 50,
+          tokenVolume: 3,
+          maxTokens: 6,
+        },
       },
     },
     weight: 14.0, // kg
+    unsprungMass: { front: 3.9, rear: 5.0 }, // kg
     purpose: 'Aggressive downhill riding with climbing capability',
     description: 'Long travel suspension optimized for descents',
   },
@@ -89,9 +135,14 @@ const BIKE_PRESETS = {
         type: 'coil',
         minTravel: 180,
         maxTravel: 220,
+        stroke: 75, // mm (shock stroke)
+        leverageCurve: [ // [wheel travel, shock stroke] in mm
+          [0, 0], [40, 13], [80, 26.9], [120, 41.7], [160, 57.7], [200, 75],
+        ],
       },
     },
     weight: 15.5, // kg
+    unsprungMass: { front: 4.4, rear: 5.6 }, // kg
     purpose: 'Downhill racing and aggressive terrain',
     description: 'Maximum suspension travel for extreme conditions',
   },
@@ -111,6 +162,7 @@ const BIKE_PRESETS = {
       rear: null,
     },
     weight: 11.0, // kg
+    unsprungMass: { front: 2.4, rear: 2.8 }, // kg
     purpose: 'Off-road and adventure riding',
     description: 'Lightweight bike for mixed terrain',
   },
@@ -126,15 +178,34 @@ const BIKE_PRESETS = {
         type: 'air',
         minTravel: 160,
         maxTravel: 200,
+        airChamber: { // mm, cm³
+          pistonDiameter: 35,
+          positiveVolume: 260,
+          negativeVolume: 90,
+          tokenVolume: 6,
+          maxTokens: 5,
+        },
       },
       rear: {
         travel: 170, // mm
         type: 'air',
         minTravel: 150,
         maxTravel: 190,
+        stroke: 65, // mm (shock stroke)
+        leverageCurve: [ // [wheel travel, shock stroke] in mm
+          [0, 0], [34, 11.8], [68, 24.1], [102, 37], [136, 50.6], [170, 65],
+        ],
+        airChamber: { // mm, cm³
+          pistonDiameter: 45,
+          positiveVolume: 155,
+          negativeVolume: 52,
+          tokenVolume: 3,
+          maxTokens: 6,
+        },
       },
     },
     weight: 14.5, // kg
+    unsprungMass: { front: 4.0, rear: 5.0 }, // kg
     purpose: 'Park riding and slopestyle courses',
     description: 'Optimized for jumps and technical features',
   },
@@ -150,15 +221,34 @@ const BIKE_PRESETS = {
         type: 'air',
         minTravel: 130,
         maxTravel: 170,
+        airChamber: { // mm, cm³
+          pistonDiameter: 35,
+          positiveVolume: 215,
+          negativeVolume: 75,
+          tokenVolume: 6,
+          maxTokens: 5,
+        },
       },
       rear: {
         travel: 140, // mm
         type: 'air',
         minTravel: 120,
         maxTravel: 160,
+        stroke: 60, // mm (shock stroke)
+        leverageCurve: [ // [wheel travel, shock stroke] in mm
+          [0, 0], [28, 11.1], [56, 22.6], [84, 34.6], [112, 47], [140, 60],
+        ],
+        airChamber: { // mm, cm³
+          pistonDiameter: 45,
+          positiveVolume: 145,
+          negativeVolume: 48,
+          tokenVolume: 3,
+          maxTokens: 6,
+        },
       },
     },
     weight: 23.0, // kg (heavier due to motor and battery)
+    unsprungMass: { front: 4.2, rear: 6.0 }, // kg
     purpose: 'Trail riding with motor assistance',
     description: 'Suspension tuned for heavier overall weight',
   },
@@ -193,6 +283,10 @@ const RIDING_PROFILES = {
         front: 20, // % (lighter, more active)
         rear: 22,
       },
+      rampUp: {
+        front: 1.4, // × linear spring force at bottom-out
+        rear: 1.4,
+      },
       barAdjustment: -10, // mm (lower for aerodynamics)
     },
     recommendations: [
@@ -227,6 +321,10 @@ const RIDING_PROFILES = {
         front: 25, // % (balanced)
         rear: 28,
       },
+      rampUp: {
+        front: 1.6, // × linear spring force at bottom-out
+        rear: 1.6,
+      },
       barAdjustment: 0, // mm (neutral)
     },
     recommendations: [
@@ -261,6 +359,10 @@ const RIDING_PROFILES = {
         front: 28, // % (more support)
         rear: 30,
       },
+      rampUp: {
+        front: 1.8, // × linear spring force at bottom-out
+        rear: 1.75,
+      },
       barAdjustment: -5, // mm (slightly lower for aggression)
     },
     recommendations: [
@@ -295,6 +397,10 @@ const RIDING_PROFILES = {
         front: 30, // % (maximum support)
         rear: 33,
       },
+      rampUp: {
+        front: 2.0, // × linear spring force at bottom-out
+        rear: 1.9,
+      },
       barAdjustment: -15, // mm (lower for stability)
     },
     recommendations: [
@@ -329,6 +435,10 @@ const RIDING_PROFILES = {
         front: 25, // % (comfortable)
         rear: 27,
       },
+      rampUp: {
+        front: 1.5, // × linear spring force at bottom-out
+        rear: 1.5,
+      },
       barAdjustment: 5, // mm (slightly higher for comfort)
     },
     recommendations: [
@@ -363,6 +473,10 @@ const RIDING_PROFILES = {
         front: 23, // % (responsive)
         rear: 25,
       },
+      rampUp: {
+        front: 2.0, // × linear spring force at bottom-out
+        rear: 1.9,
+      },
       barAdjustment: 0, // mm (neutral)
     },
     recommendations: [
@@ -424,62 +538,76 @@ const PRESET_COMBINATIONS = {
 };
 
 // ============================================================================
-// EXPORTS
+// LOOKUP FUNCTIONS
 // ============================================================================
 
-module.exports = {
-  BIKE_PRESETS,
-  RIDING_PROFILES,
-  PRESET_COMBINATIONS,
+/**
+ * Get a bike preset by ID
+ * @param {string} bikeId - The bike preset ID
+ * @returns {object|null} The bike preset or null if not found
+ */
+function getBikePreset(bikeId) {
+  return BIKE_PRESETS[bikeId] || null;
+}
 
-  /**
-   * Get a bike preset by ID
-   * @param {string} bikeId - The bike preset ID
-   * @returns {object|null} The bike preset or null if not found
-   */
-  getBikePreset(bikeId) {
-    return BIKE_PRESETS[bikeId] || null;
-  },
+/**
+ * Get a riding profile by ID
+ * @param {string} profileId - The riding profile ID
+ * @returns {object|null} The riding profile or null if not found
+ */
+function getRidingProfile(profileId) {
+  return RIDING_PROFILES[profileId] || null;
+}
 
-  /**
-   * Get a riding profile by ID
-   * @param {string} profileId - The riding profile ID
-   * @returns {object|null} The riding profile or null if not found
-   */
-  getRidingProfile(profileId) {
-    return RIDING_PROFILES[profileId] || null;
-  },
+/**
+ * Get a preset combination by ID
+ * @param {string} combinationId - The preset combination ID
+ * @returns {object|null} The preset combination or null if not found
+ */
+function getPresetCombination(combinationId) {
+  return PRESET_COMBINATIONS[combinationId] || null;
+}
 
-  /**
-   * Get a preset combination by ID
-   * @param {string} combinationId - The preset combination ID
-   * @returns {object|null} The preset combination or null if not found
-   */
-  getPresetCombination(combinationId) {
-    return PRESET_COMBINATIONS[combinationId] || null;
-  },
+/**
+ * Get all available bike presets
+ * @returns {array} Array of bike preset IDs
+ */
+function getAvailableBikes() {
+  return Object.keys(BIKE_PRESETS);
+}
 
-  /**
-   * Get all available bike presets
-   * @returns {array} Array of bike preset IDs
-   */
-  getAvailableBikes() {
-    return Object.keys(BIKE_PRESETS);
-  },
+/**
+ * Get all available riding profiles
+ * @returns {array} Array of riding profile IDs
+ */
+function getAvailableProfiles() {
+  return Object.keys(RIDING_PROFILES);
+}
 
-  /**
-   * Get all available riding profiles
-   * @returns {array} Array of riding profile IDs
-   */
-  getAvailableProfiles() {
-    return Object.keys(RIDING_PROFILES);
-  },
+/**
+ * Get all available preset combinations
+ * @returns {array} Array of preset combination IDs
+ */
+function getAvailableCombinations() {
+  return Object.keys(PRESET_COMBINATIONS);
+}
 
-  /**
-   * Get all available preset combinations
-   * @returns {array} Array of preset combination IDs
-   */
-  getAvailableCombinations() {
-    return Object.keys(PRESET_COMBINATIONS);
-  },
-};
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for use in Node.js or module systems; in the browser the
+// declarations above are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BIKE_PRESETS,
+    RIDING_PROFILES,
+    PRESET_COMBINATIONS,
+    getBikePreset,
+    getRidingProfile,
+    getPresetCombination,
+    getAvailableBikes,
+    getAvailableProfiles,
+    getAvailableCombinations,
+  };
+}
@@ -0,0 +1,239 @@
+/**
+ * Custom Profiles Module
+ * Riding profiles derived from a built-in profile, optionally blended with a
+ * second one, with the user's own settings; persisted in localStorage
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { getRidingProfile } = require('./presets.js');
+  var {
+    deepClone,
+    isValidNumber,
+    roundTo,
+    saveToLocalStorage,
+    loadFromLocalStorage,
+  } = require('./utils.js');
+}
+
+const CUSTOM_PROFILES_STORAGE_KEY = 'suspensionCalculator.profiles';
+
+// Allowed range of each editable profile setting
+const PROFILE_SETTING_LIMITS = {
+  'compression.lowSpeed': { min: 0, max: 100 }, // %
+  'compression.highSpeed': { min: 0, max: 100 }, // %
+  'rebound.front': { min: 0, max: 100 }, // %
+  'rebound.rear': { min: 0, max: 100 }, // %
+  'sag.front': { min: 10, max: 40 }, // % of travel
+  'sag.rear': { min: 10, max: 40 }, // % of travel
+  'rampUp.front': { min: 1, max: 3 }, // × linear spring force at bottom-out
+  'rampUp.rear': { min: 1, max: 3 },
+};
+
+// ============================================================================
+// BLENDING
+// ============================================================================
+
+/**
+ * Interpolate the numeric leaves of two objects of the same shape
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {number} t - Share of the second value (0-1)
+ * @returns {*} Interpolated value; non-numeric leaves are taken from the dominant value
+ */
+function interpolateSettings(a, b, t) {
+  if (isValidNumber(a) && isValidNumber(b)) {
+    return roundTo(a + (b - a) * t, 2);
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const result = {};
+    Object.keys(a).forEach((key) => {
+      result[key] = key in b ? interpolateSettings(a[key], b[key], t) : deepClone(a[key]);
+    });
+    return result;
+  }
+  return deepClone(t > 0.5 ? b : a);
+}
+
+/**
+ * Blend two riding profiles by percentage
+ * Formula: setting = first + (second - first) × share
+ * @param {object} first - First riding profile
+ * @param {object} second - Second riding profile
+ * @param {number} share - Share of the second profile in % (0-100)
+ * @returns {object} Blended profile; descriptions and recommendations come from the larger share
+ */
+function blendProfiles(first, second, share) {
+  if (!isValidNumber(share) || share < 0 || share > 100) {
+    throw new Error('Blend share must be between 0 and 100%');
+  }
+  const t = share / 100;
+  const dominant = t > 0.5 ? second : first;
+  return {
+    name: `${100 - share}% ${first.name} / ${share}% ${second.name}`,
+    riderType: dominant.riderType,
+    characteristics: deepClone(dominant.characteristics),
+    suspensionSettings: interpolateSettings(first.suspensionSettings, second.suspensionSettings, t),
+    recommendations: dominant.recommendations.slice(),
+  };
+}
+
+// ============================================================================
+// CUSTOM PROFILES
+// ============================================================================
+
+/**
+ * Validate the settings of a riding profile against PROFILE_SETTING_LIMITS
+ * @param {object} profile - Riding profile
+ * @returns {Array<{path: string, message: string}>} Setting errors (empty when valid)
+ */
+function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push({ path: 'name', message: 'Profile name is required' });
+  }
+  const settings = (profile && profile.suspensionSettings) || {};
+  Object.keys(PROFILE_SETTING_LIMITS).forEach((path) => {
+    const limit = PROFILE_SETTING_LIMITS[path];
+    const value = path.split('.').reduce((node, key) => (node ? node[key] : undefined), settings);
+    if (!isValidNumber(value) || value < limit.min || value > limit.max) {
+      errors.push({ path: `suspensionSettings.${path}`, message: `must be between ${limit.min} and ${limit.max}` });
+    }
+  });
+  if (profile && profile.recommendations !== undefined && !Array.isArray(profile.recommendations)) {
+    errors.push({ path: 'recommendations', message: 'must be a list' });
+  }
+  return errors;
+}
+
+/**
+ * Create a custom profile from a built-in one
+ * @param {string} baseId - Built-in riding profile ID
+ * @param {object} options - { name, blend: { profile, share (%) }, suspensionSettings (overrides), recommendations }
+ * @returns {object} Custom profile with its ID
+ */
+function createCustomProfile(baseId, { name, blend = null, suspensionSettings = {}, recommendations } = {}) {
+  const base = getRidingProfile(baseId);
+  if (!base) {
+    throw new Error(`Unknown riding profile: ${baseId}`);
+  }
+  let derived = base;
+  if (blend && blend.profile) {
+    const other = getRidingProfile(blend.profile);
+    if (!other) {
+      throw new Error(`Unknown riding profile: ${blend.profile}`);
+    }
+    derived = blendProfiles(base, other, blend.share);
+  }
+
+  const settings = deepClone(derived.suspensionSettings);
+  Object.keys(suspensionSettings).forEach((group) => {
+    const value = suspensionSettings[group];
+    settings[group] = value && typeof value === 'object' ? Object.assign({}, settings[group], value) : value;
+  });
+
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  const profile = {
+    id: `custom-${trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+    name: trimmed,
+    custom: true,
+    base: baseId,
+    blend: blend && blend.profile ? { profile: blend.profile, share: blend.share } : null,
+    riderType: derived.riderType,
+    characteristics: deepClone(derived.characteristics),
+    suspensionSettings: settings,
+    recommendations: recommendations ? recommendations.slice() : derived.recommendations.slice(),
+  };
+
+  const errors = validateProfile(profile);
+  if (errors.length) {
+    throw new Error(`Invalid profile:\n${errors.map((item) => `${item.path}: ${item.message}`).join('\n')}`);
+  }
+  return profile;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Load the saved custom profiles from localStorage
+ * @param {string} [key] - Storage key
+ * @returns {{profiles: Array<object>}} Saved profiles, or an empty store
+ */
+function loadCustomProfiles(key = CUSTOM_PROFILES_STORAGE_KEY) {
+  const store = loadFromLocalStorage(key);
+  return store && Array.isArray(store.profiles) ? store : { profiles: [] };
+}
+
+/**
+ * Save the custom profiles to localStorage
+ * @param {{profiles: Array<object>}} store - Custom profiles
+ * @param {string} [key] - Storage key
+ * @returns {boolean} True if successful, false otherwise
+ */
+function saveCustomProfiles(store, key = CUSTOM_PROFILES_STORAGE_KEY) {
+  return saveToLocalStorage(key, store);
+}
+
+/**
+ * Add a custom profile, replacing a saved one with the same ID
+ * @param {object} store - Custom profiles (modified in place)
+ * @param {object} profile - Custom profile (see createCustomProfile)
+ * @returns {object} Saved profile
+ */
+function putCustomProfile(store, profile) {
+  const index = store.profiles.findIndex((item) => item.id === profile.id);
+  if (index === -1) {
+    store.profiles.push(profile);
+  } else {
+    store.profiles[index] = profile;
+  }
+  return profile;
+}
+
+/**
+ * Remove a custom profile
+ * @param {object} store - Custom profiles (modified in place)
+ * @param {string} profileId - Custom profile ID
+ * @returns {boolean} True if a profile was removed
+ */
+function removeCustomProfile(store, profileId) {
+  const index = store.profiles.findIndex((item) => item.id === profileId);
+  if (index === -1) {
+    return false;
+  }
+  store.profiles.splice(index, 1);
+  return true;
+}
+
+/**
+ * Find a riding profile by ID among the built-in and custom profiles
+ * @param {string} profileId - Riding profile ID
+ * @param {object} [store] - Custom profiles
+ * @returns {object|null} Riding profile or null if not found
+ */
+function findRidingProfile(profileId, store) {
+  const builtIn = getRidingProfile(profileId);
+  if (builtIn) {
+    return builtIn;
+  }
+  return (store && store.profiles.find((item) => item.id === profileId)) || null;
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CUSTOM_PROFILES_STORAGE_KEY,
+    PROFILE_SETTING_LIMITS,
+    blendProfiles,
+    validateProfile,
+    createCustomProfile,
+    loadCustomProfiles,
+    saveCustomProfiles,
+    putCustomProfile,
+    removeCustomProfile,
+    findRidingProfile,
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Sag Correction Module
+ * Actual sag from an O-ring or axle measurement, compared with the target sag,
+ * and the pressure, preload or spring rate change that reaches the target
+ *
+ * Sag is measured at the spring (fork stanchion or shock shaft) or at the
+ * wheel; rear measurements are moved between the two through the leverage curve.
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var {
+    createAirChamber,
+    calculateAirSpringForce,
+    calculateAirPressureForForce,
+  } = require('./air-spring.js');
+  var { getShockStrokeAt, getWheelTravelAt } = require('./leverage.js');
+}
+
+const SAG_CORRECTION_LIMITS = {
+  tolerance: 1, // % of travel treated as on target
+  maxPreload: 3, // mm of coil preload before a different spring is the better fix
+};
+
+/**
+ * Convert a sag measurement to spring-side stroke
+ * @param {object} measurement - { stroke } (O-ring on the stanchion or shaft, mm),
+ *   { wheel } (sag at the axle, mm) or { unloaded, loaded } (axle heights without and with the rider, mm)
+ * @param {Array<number[]>} curve - [wheel travel, spring stroke] points in mm
+ * @returns {number} Spring stroke at sag in mm
+ */
+function resolveMeasuredStroke(measurement, curve) {
+  if (!measurement || typeof measurement !== 'object') {
+    throw new Error('Sag measurement must be an object');
+  }
+  let stroke;
+  if (measurement.stroke !== undefined) {
+    stroke = measurement.stroke;
+  } else {
+    const wheel = measurement.wheel !== undefined
+      ? measurement.wheel
+      : measurement.unloaded - measurement.loaded;
+    if (!(wheel > 0)) {
+      throw new Error('Measure sag as stroke, wheel sag or unloaded and loaded axle heights');
+    }
+    stroke = getShockStrokeAt(curve, wheel);
+  }
+  if (!(stroke > 0) || stroke >= curve[curve.length - 1][1]) {
+    throw new Error('Measured sag must be positive and less than the full stroke');
+  }
+  return stroke;
+}
+
+/**
+ * Describe a sag point in spring stroke and wheel travel
+ * @param {number} stroke - Spring stroke in mm
+ * @param {Array<number[]>} curve - [wheel travel, spring stroke] points in mm
+ * @returns {object} { stroke, strokePercent, wheel, wheelPercent } in mm and %
+ */
+function describeSagPoint(stroke, curve) {
+  const [travel, fullStroke] = curve[curve.length - 1];
+  const wheel = getWheelTravelAt(curve, stroke);
+  return {
+    stroke,
+    strokePercent: (stroke / fullStroke) * 100,
+    wheel,
+    wheelPercent: (wheel / travel) * 100,
+  };
+}
+
+/**
+ * Calculate the air pressure change that moves measured sag to the target
+ * The measurement shows the load actually on the spring: F = F_air(p, x_measured).
+ * The new pressure carries that load at the target stroke. Both are isothermal,
+ * as sag is set slowly
+ * @param {object} spring - { pressure (Pa, gauge), airChamber (preset geometry), tokens }
+ * @param {number} measuredStroke - Measured spring stroke at sag in mm
+ * @param {number} targetStroke - Target spring stroke at sag in mm
+ * @returns {object} { type: 'pressure', force (N), pressure (Pa), change (Pa) }
+ */
+function calculatePressureCorrection(spring, measuredStroke, targetStroke) {
+  const chamber = createAirChamber(spring.airChamber, spring.tokens || 0);
+  const force = calculateAirSpringForce(spring.pressure, measuredStroke / 1000, chamber);
+  const pressure = calculateAirPressureForForce(force, targetStroke / 1000, chamber);
+  return { type: 'pressure', force, pressure, change: pressure - spring.pressure };
+}
+
+/**
+ * Calculate the preload or spring rate change that moves measured sag to the target
+ * Formula: F = k * (x + p), so Δp = x_measured - x_target at the same spring,
+ *          or k_new = F / (x_target + p) with the same preload
+ * Preload is recommended while it stays between 0 and the preload limit
+ * @param {object} spring - { rate (N/mm), preload (mm) }
+ * @param {number} measuredStroke - Measured spring stroke at sag in mm
+ * @param {number} targetStroke - Target spring stroke at sag in mm
+ * @param {number} [maxPreload=3] - Preload limit in mm
+ * @returns {object} { type: 'preload'|'spring', force (N), preload, preloadChange (mm), rate, rateChange (N/mm) }
+ */
+function calculateSpringCorrection(spring, measuredStroke, targetStroke, maxPreload = SAG_CORRECTION_LIMITS.maxPreload) {
+  if (!(spring.rate > 0)) {
+    throw new Error('Spring rate must be a positive value');
+  }
+  const currentPreload = spring.preload || 0;
+  const force = spring.rate * (measuredStroke + currentPreload);
+  const preload = currentPreload + measuredStroke - targetStroke;
+  const rate = force / (targetStroke + currentPreload);
+  return {
+    type: preload >= 0 && preload <= maxPreload ? 'preload' : 'spring',
+    force,
+    preload,
+    preloadChange: preload - currentPreload,
+    rate,
+    rateChange: rate - spring.rate,
+  };
+}
+
+/**
+ * Analyze a measured sag against the target and work out the correction
+ * @param {object} params - Analysis parameters
+ * @param {Array<number[]>} params.curve - [wheel travel, spring stroke] points in mm (1:1 for forks)
+ * @param {number} params.targetPercent - Target sag in % of wheel travel
+ * @param {object} params.measurement - Sag measurement (see resolveMeasuredStroke)
+ * @param {object} params.spring - Current spring: { type: 'air', pressure, airChamber, tokens }
+ *   or { type: 'coil', rate, preload } (see the correction functions for units)
+ * @param {number} [params.tolerance=1] - Sag difference in % treated as on target
+ * @returns {object} { actual, target, difference (%), status, correction }
+ */
+function analyzeMeasuredSag({
+  curve,
+  targetPercent,
+  measurement,
+  spring,
+  tolerance = SAG_CORRECTION_LIMITS.tolerance,
+}) {
+  if (!(targetPercent > 0) || targetPercent >= 100) {
+    throw new Error('Target sag must be between 0 and 100%');
+  }
+  const travel = curve[curve.length - 1][0];
+  const measuredStroke = resolveMeasuredStroke(measurement, curve);
+  const targetStroke = getShockStrokeAt(curve, (travel * targetPercent) / 100);
+
+  const actual = describeSagPoint(measuredStroke, curve);
+  const target = describeSagPoint(targetStroke, curve);
+  const difference = actual.wheelPercent - target.wheelPercent;
+
+  let status = 'on-target';
+  if (difference > tolerance) {
+    status = 'too-much-sag';
+  } else if (difference < -tolerance) {
+    status = 'too-little-sag';
+  }
+
+  let correction = null;
+  if (status !== 'on-target') {
+    correction = spring.type === 'air'
+      ? calculatePressureCorrection(spring, measuredStroke, targetStroke)
+      : calculateSpringCorrection(spring, measuredStroke, targetStroke);
+  }
+
+  return { actual, target, difference, status, correction };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAG_CORRECTION_LIMITS,
+    resolveMeasuredStroke,
+    calculatePressureCorrection,
+    calculateSpringCorrection,
+    analyzeMeasuredSag,
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Setup Card Module
+ * Setup card built from a computed setup, for printing or as a PDF
+ * written without any external library
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { getRidingProfile } = require('./presets.js');
+  var { formatNumber, formatQuantity, formatDate } = require('./utils.js');
+}
+
+// A4 portrait in PDF points, with the text layout used on the card
+const SETUP_CARD_PAGE = {
+  width: 595,
+  height: 842,
+  margin: 50,
+  valueColumn: 230,
+  lineHeight: 16,
+  fontSize: 11,
+  headingSize: 13,
+  titleSize: 20,
+  wrapColumns: 90, // characters per recommendation line
+};
+
+// ============================================================================
+// CARD CONTENT
+// ============================================================================
+
+/**
+ * Describe the damper adjuster clicks of one end
+ * @param {object} clicks - Damper clicks from computeSetup
+ * @param {string} id - Adjuster ID ('lsc', 'hsc', 'lsr', 'hsr')
+ * @returns {string} Click setting, or '' if no damper was chosen
+ */
+function describeClicks(clicks, id) {
+  if (!clicks) {
+    return '';
+  }
+  const adjuster = clicks.adjusters[id];
+  return adjuster ? ` (${adjuster.clicks}/${adjuster.totalClicks} clicks from closed)` : ' (not adjustable)';
+}
+
+/**
+ * Build the card rows for one end of the bike
+ * @param {object} end - Fork or shock setup from computeSetup
+ * @param {object} units - Display units (see resolveUnits)
+ * @returns {Array<string[]>} [label, value] rows
+ */
+function buildEndRows(end, units) {
+  const rows = [
+    ['Travel', formatQuantity(end.travel, units)],
+    ['Target sag', `${end.sag.value}% (${formatQuantity(end.sagDistance, units)} at the wheel)`],
+  ];
+  if (end.leverage) {
+    rows.push(['Shock sag', `${formatQuantity(end.leverage.shockSag, units)} on the shaft`]);
+  }
+  if (end.airPressure) {
+    rows.push(['Air pressure', formatQuantity(end.airPressure, units)]);
+  }
+  if (end.volumeSpacers) {
+    rows.push(['Volume spacers', `${end.volumeSpacers.tokens}`]);
+  }
+  if (end.coilSpring) {
+    rows.push(['Coil spring', `${end.coilSpring.recommended.rate.value} lbs/in`]);
+  }
+  rows.push(['Spring rate (wheel)', formatQuantity(end.springRate, units)]);
+  if (end.clicks) {
+    rows.push(['Damper', end.clicks.name]);
+  }
+  const splitRebound = Boolean(end.clicks && end.clicks.adjusters.hsr);
+  rows.push(
+    ['Low-speed compression', `${end.compression.lowSpeed.value}%${describeClicks(end.clicks, 'lsc')}`],
+    ['High-speed compression', `${end.compression.highSpeed.value}%${describeClicks(end.clicks, 'hsc')}`],
+    [splitRebound ? 'Low-speed rebound' : 'Rebound', `${end.rebound.setting.value}%${describeClicks(end.clicks, 'lsr')}`]
+  );
+  if (splitRebound) {
+    rows.push(['High-speed rebound', `${end.rebound.setting.value}%${describeClicks(end.clicks, 'hsr')}`]);
+  }
+  return rows;
+}
+
+/**
+ * Build the setup card content
+ * @param {object} setup - Result of computeSetup
+ * @param {object} [options] - { bikeName (shown instead of the preset name), date, units (see resolveUnits) }
+ * @returns {object} { title, subtitle, sections: [{ heading, rows }], recommendations }
+ */
+function buildSetupCard(setup, options = {}) {
+  const profile = getRidingProfile(setup.profile.id);
+  const units = options.units;
+  const rider = setup.rider.gear.value > 0
+    ? `${formatQuantity(setup.rider.mass, units)} + ${formatQuantity(setup.rider.gear, units)} gear`
+    : formatQuantity(setup.rider.mass, units);
+
+  const sections = [
+    {
+      heading: 'Rider & Bike',
+      rows: [
+        ['Bike', options.bikeName || setup.bike.name],
+        ['Rider', rider],
+        ['Total mass', formatQuantity(setup.totalMass, units)],
+        ['Riding style', setup.profile.name],
+      ],
+    },
+    { heading: 'Fork', rows: buildEndRows(setup.fork, units) },
+  ];
+  if (setup.shock) {
+    sections.push({ heading: 'Shock', rows: buildEndRows(setup.shock, units) });
+  }
+  if (setup.tires) {
+    const tires = setup.tires;
+    const width = (quantity) => formatQuantity(quantity, units, units && units.length === 'in' ? 2 : 0);
+    sections.push({
+      heading: 'Tires',
+      rows: [
+        ['Tires', `${width(tires.width)} on a ${width(tires.rimWidth)} rim`],
+        ['Casing / setup', `${tires.casing}, ${tires.setup.toLowerCase()}`],
+        ['Front pressure', formatQuantity(tires.front.pressure, units)],
+        ['Rear pressure', formatQuantity(tires.rear.pressure, units)],
+      ],
+    });
+  }
+  if (setup.balance) {
+    sections.push({
+      heading: 'Balance',
+      rows: [['Rear/front frequency', `${formatNumber(setup.balance.ratio, 2)} (${setup.balance.status})`]],
+    });
+  }
+
+  return {
+    title: 'Suspension Setup Card',
+    subtitle: formatDate(options.date || new Date()),
+    sections,
+    recommendations: profile ? profile.recommendations.slice() : setup.recommendations.slice(),
+  };
+}
+
+// ============================================================================
+// PDF OUTPUT
+// ============================================================================
+
+/**
+ * Make text safe for a PDF string in the standard Helvetica font
+ * Characters outside Latin-1 are replaced; parentheses and backslashes are escaped
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/→/g, '->')
+    .replace(/×/g, 'x')
+    .replace(/·/g, '-')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/[\\()]/g, '\\$&');
+}
+
+/**
+ * Wrap text to a number of characters per line
+ * @param {string} text - Text
+ * @param {number} columns - Characters per line
+ * @returns {string[]} Lines
+ */
+function wrapText(text, columns) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).forEach((word) => {
+    if (line && line.length + word.length + 1 > columns) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Write the setup card as a PDF
+ * The card fits one page with the built-in profiles; long recommendation
+ * lists continue on further pages
+ * @param {object} card - Card content (see buildSetupCard)
+ * @param {object} [page] - Page layout (see SETUP_CARD_PAGE)
+ * @returns {Uint8Array} PDF file bytes
+ */
+function createSetupCardPdf(card, page = SETUP_CARD_PAGE) {
+  const pages = [[]];
+  let y = page.height - page.margin;
+  const text = (font, size, x, value) => {
+    pages[pages.length - 1].push(`BT /${font} ${size} Tf ${x} ${y} Td (${escapePdfText(value)}) Tj ET`);
+  };
+  // Start a new page unless the next lines fit above the bottom margin
+  const reserve = (lines) => {
+    if (y - (lines - 1) * page.lineHeight < page.margin) {
+      pages.push([]);
+      y = page.height - page.margin;
+    }
+  };
+
+  text('F2', page.titleSize, page.margin, card.title);
+  y -= page.lineHeight * 1.25;
+  text('F1', page.fontSize, page.margin, card.subtitle);
+  y -= page.lineHeight * 1.5;
+
+  card.sections.forEach((section) => {
+    // A heading is kept with its first row
+    reserve(2);
+    text('F2', page.headingSize, page.margin, section.heading);
+    y -= page.lineHeight;
+    section.rows.forEach(([label, value]) => {
+      reserve(1);
+      text('F1', page.fontSize, page.margin, label);
+      text('F1', page.fontSize, page.valueColumn, value);
+      y -= page.lineHeight;
+    });
+    y -= page.lineHeight / 2;
+  });
+
+  if (card.recommendations.length) {
+    reserve(2);
+    text('F2', page.headingSize, page.margin, 'Recommendations');
+    y -= page.lineHeight;
+    card.recommendations.forEach((recommendation) => {
+      wrapText(recommendation, page.wrapColumns).forEach((line, i) => {
+        reserve(1);
+        text('F1', page.fontSize, page.margin, `${i === 0 ? '- ' : '  '}${line}`);
+        y -= page.lineHeight;
+      });
+    });
+  }
+
+  // Catalog, page tree and fonts, then a page and its content stream per page
+  const pageIds = pages.map((commands, i) => 5 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+  pages.forEach((commands, i) => {
+    const content = commands.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Every character is Latin-1, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, (char) => char.charCodeAt(0));
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETUP_CARD_PAGE,
+    buildSetupCard,
+    createSetupCardPdf,
+  };
+}
@@ -0,0 +1,840 @@
+/**
+ * Setup Engine
+ * DOM-free suspension setup calculation built on the bike presets, riding
+ * profiles and suspension math modules
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var {
+    calculateNaturalFrequency,
+    calculateDampingCoefficient,
+    classifyDamping,
+    calculateWeightForce,
+  } = require('./suspension-math.js');
+  var { getRidingProfile } = require('./presets.js');
+  var { findBikePreset } = require('./bike-models.js');
+  var { validateProfile } = require('./profiles.js');
+  var {
+    createAirChamber,
+    generateAirSpringCurve,
+    recommendVolumeSpacers,
+    calculatePressureAtTemperature,
+    compensateAirPressure,
+    calculateSagStroke,
+  } = require('./air-spring.js');
+  var { selectCoilSpring, snapCoilSpringRate } = require('./coil-spring.js');
+  var {
+    createLinearLeverageCurve,
+    scaleLeverageCurve,
+    getShockStrokeAt,
+    getWheelTravelAt,
+    getLeverageRatioAt,
+    calculateWheelRateAt,
+    analyzeLeverageCurve,
+  } = require('./leverage.js');
+  var { analyzePitchBalance, calculateBalancedRearSag } = require('./pitch-balance.js');
+  var { calculateMassModel } = require('./mass-model.js');
+  var { getDamper, mapDamperClicks } = require('./dampers.js');
+  var { analyzeMeasuredSag } = require('./sag-correction.js');
+  var { recommendTirePressures } = require('./tire-pressure.js');
+  var {
+    lbsToKg,
+    paToPsi,
+    psiToPa,
+    nPerMmToLbsPerIn,
+    lbsPerInToNPerMm,
+    isValidNumber,
+    isValidWeight,
+    isValidTravel,
+    resolveUnits,
+    formatQuantity,
+  } = require('./utils.js');
+}
+
+// ============================================================================
+// ENGINE DEFAULTS
+// ============================================================================
+
+const SETUP_DEFAULTS = {
+  bike: 'trailMTB',
+  profile: 'trail',
+};
+
+// Damping ratio range covered by the 0-100% profile damping settings
+const DAMPING_RATIO_RANGES = {
+  compression: { min: 0.1, max: 0.4 },
+  rebound: { min: 0.2, max: 0.6 },
+};
+
+// ============================================================================
+// INPUT NORMALIZATION
+// ============================================================================
+
+/**
+ * Create a numeric value tagged with its unit
+ * @param {number} value - Numeric value
+ * @param {string} unit - Unit label (e.g., 'kg', 'mm', 'N/mm')
+ * @returns {{value: number, unit: string}} Quantity object
+ */
+function createQuantity(value, unit) {
+  return { value, unit };
+}
+
+/**
+ * Convert a weight input to kilograms
+ * @param {number} weight - Weight in the given unit
+ * @param {string} [unit='kg'] - Weight unit ('kg' or 'lbs')
+ * @returns {number} Mass in kg
+ */
+function toKilograms(weight, unit = 'kg') {
+  if (unit !== 'kg' && unit !== 'lbs') {
+    throw new Error(`Unknown weight unit: ${unit}`);
+  }
+  return unit === 'lbs' ? lbsToKg(weight) : weight;
+}
+
+/**
+ * Resolve the rider input to rider and gear masses in kilograms
+ * @param {object} rider - Rider input ({ weight, gear, unit })
+ * @returns {{rider: number, gear: number}} Masses in kg
+ */
+function resolveRiderMass(rider) {
+  if (!rider || !isValidWeight(rider.weight) || rider.weight === 0) {
+    throw new Error('Rider weight must be a positive number');
+  }
+  const gear = rider.gear || 0;
+  if (!isValidWeight(gear)) {
+    throw new Error('Gear weight must be a non-negative number');
+  }
+  return {
+    rider: toKilograms(rider.weight, rider.unit),
+    gear: toKilograms(gear, rider.unit),
+  };
+}
+
+/**
+ * Resolve optional scale readings under each wheel to kilograms
+ * @param {object} [scales] - Scale readings ({ front, rear, unit })
+ * @returns {{front: number, rear: number}|undefined} Readings in kg, or undefined if not given
+ */
+function resolveScales(scales) {
+  if (!scales) {
+    return undefined;
+  }
+  if (!isValidWeight(scales.front) || !isValidWeight(scales.rear)) {
+    throw new Error('Enter both front and rear scale readings');
+  }
+  return {
+    front: toKilograms(scales.front, scales.unit),
+    rear: toKilograms(scales.rear, scales.unit),
+  };
+}
+
+/**
+ * Resolve optional pump and riding conditions for air pressure compensation
+ * Altitudes default to sea level and the riding temperature range to the riding temperature
+ * @param {object} [conditions] - { pump: { temperature, altitude }, ride: { temperature, altitude,
+ *   minTemperature, maxTemperature } } (°C, m)
+ * @returns {object|null} Conditions with every field filled in, or null if not given
+ */
+function resolveConditions(conditions) {
+  if (!conditions) {
+    return null;
+  }
+  const pump = conditions.pump || {};
+  const ride = conditions.ride || {};
+  if (!isValidNumber(pump.temperature) || !isValidNumber(ride.temperature)) {
+    throw new Error('Enter both the pump and riding temperatures');
+  }
+  const minTemperature = isValidNumber(ride.minTemperature) ? ride.minTemperature : ride.temperature;
+  const maxTemperature = isValidNumber(ride.maxTemperature) ? ride.maxTemperature : ride.temperature;
+  if (minTemperature > maxTemperature) {
+    throw new Error('The coldest riding temperature must not be above the warmest');
+  }
+  return {
+    pump: { temperature: pump.temperature, altitude: pump.altitude || 0 },
+    ride: { temperature: ride.temperature, altitude: ride.altitude || 0, minTemperature, maxTemperature },
+  };
+}
+
+/**
+ * Resolve one end of a bike preset with a travel override applied
+ * Shock stroke and air chamber volumes scale with the travel so the leverage
+ * and compression ratios are kept
+ * @param {object} presetEnd - Preset suspension end (front or rear)
+ * @param {number} [travel] - Travel override in mm
+ * @returns {object} Suspension end with the resolved travel
+ */
+function resolveSuspensionEnd(presetEnd, travel) {
+  const end = Object.assign({}, presetEnd);
+  if (travel === undefined || travel === presetEnd.travel) {
+    return end;
+  }
+  end.travel = travel;
+  if (presetEnd.airChamber) {
+    const scale = travel / presetEnd.travel;
+    end.airChamber = Object.assign({}, presetEnd.airChamber, {
+      positiveVolume: presetEnd.airChamber.positiveVolume * scale,
+      negativeVolume: presetEnd.airChamber.negativeVolume * scale,
+    });
+  }
+  if (presetEnd.stroke) {
+    end.stroke = presetEnd.stroke * (travel / presetEnd.travel);
+  }
+  if (presetEnd.leverageCurve) {
+    end.leverageCurve = scaleLeverageCurve(presetEnd.leverageCurve, travel);
+  }
+  return end;
+}
+
+/**
+ * Resolve the bike input to a preset merged with any overrides
+ * @param {string|object} bike - Bike preset or model ID, or { preset, weight, unsprungMass, travel: { front, rear } }
+ * @returns {object} Resolved bike ({ id, name, category, weight, unsprungMass, front, rear })
+ */
+function resolveBike(bike) {
+  const options = typeof bike === 'string' ? { preset: bike } : bike || {};
+  const presetId = options.preset || SETUP_DEFAULTS.bike;
+  const preset = findBikePreset(presetId);
+  if (!preset) {
+    throw new Error(`Unknown bike preset: ${presetId}`);
+  }
+
+  const travel = options.travel || {};
+  const front = resolveSuspensionEnd(preset.suspension.front, travel.front);
+  const rear = preset.suspension.rear
+    ? resolveSuspensionEnd(preset.suspension.rear, travel.rear)
+    : null;
+  const weight = options.weight !== undefined ? options.weight : preset.weight;
+  const unsprungMass = Object.assign({}, preset.unsprungMass, options.unsprungMass);
+
+  if (!isValidTravel(front.travel) || front.travel === 0) {
+    throw new Error('Fork travel must be a positive number');
+  }
+  if (rear !== null && (!isValidTravel(rear.travel) || rear.travel === 0)) {
+    throw new Error('Shock travel must be a positive number');
+  }
+  if (!isValidWeight(weight)) {
+    throw new Error('Bike weight must be a non-negative number');
+  }
+
+  return {
+    id: presetId,
+    name: preset.name,
+    category: preset.category,
+    weight,
+    unsprungMass,
+    front,
+    rear,
+  };
+}
+
+/**
+ * Resolve the riding profile input
+ * @param {string|object} profileId - Riding profile ID, or a profile object (e.g., a custom profile)
+ * @returns {object} Riding profile with its ID
+ */
+function resolveProfile(profileId) {
+  if (profileId && typeof profileId === 'object') {
+    const errors = validateProfile(profileId);
+    if (errors.length) {
+      throw new Error(`Invalid riding profile: ${errors.map((item) => `${item.path} ${item.message}`).join(', ')}`);
+    }
+    return Object.assign({ id: 'custom' }, profileId);
+  }
+  const id = profileId || SETUP_DEFAULTS.profile;
+  const profile = getRidingProfile(id);
+  if (!profile) {
+    throw new Error(`Unknown riding profile: ${id}`);
+  }
+  return Object.assign({ id }, profile);
+}
+
+// ============================================================================
+// SETUP CALCULATION
+// ============================================================================
+
+/**
+ * Map a 0-100% profile damping setting onto a damping ratio
+ * @param {number} percentage - Profile setting in %
+ * @param {{min: number, max: number}} range - Damping ratio range
+ * @returns {number} Damping ratio (unitless)
+ */
+function settingToDampingRatio(percentage, range) {
+  return range.min + ((range.max - range.min) * percentage) / 100;
+}
+
+/**
+ * Get the leverage curve between the wheel and the spring of one end
+ * Forks have no linkage, so their curve is 1:1; shocks without curve data
+ * fall back to their average leverage ratio
+ * @param {object} end - Resolved suspension end
+ * @returns {Array<number[]>} [wheel travel, spring stroke] points in mm
+ */
+function getSpringCurve(end) {
+  return end.leverageCurve || createLinearLeverageCurve(end.travel, end.stroke || end.travel);
+}
+
+/**
+ * Calculate the air spring setup that gives the target sag and ramp-up
+ * The spring sits on the fork leg or the shock; a shock sees the wheel load
+ * multiplied by the leverage ratio at the sag point. The token count is the
+ * fewest spacers reaching the profile ramp-up, and the pump pressure is solved
+ * with those spacers installed
+ * @param {object} end - Resolved suspension end
+ * @param {number} sagPercent - Target sag in %
+ * @param {number} wheelForce - Static load at the wheel in N
+ * @param {number} targetRampUp - Profile ramp-up target
+ * @returns {{airPressure: object, volumeSpacers: object}|null} Pressure and spacer setup, or null if not air sprung
+ */
+function computeAirSpring(end, sagPercent, wheelForce, targetRampUp) {
+  if (end.type !== 'air' || !end.airChamber) {
+    return null;
+  }
+  const curve = getSpringCurve(end);
+  const wheelSag = (end.travel * sagPercent) / 100; // mm
+  const stroke = curve[curve.length - 1][1] / 1000; // m
+  const spacers = recommendVolumeSpacers({
+    force: wheelForce * getLeverageRatioAt(curve, wheelSag),
+    sagStroke: getShockStrokeAt(curve, wheelSag) / 1000,
+    stroke,
+    geometry: end.airChamber,
+    targetRampUp,
+  });
+  const forceCurve = generateAirSpringCurve(
+    spacers.pressure,
+    createAirChamber(end.airChamber, spacers.tokens),
+    stroke
+  );
+
+  return {
+    airPressure: createQuantity(paToPsi(spacers.pressure), 'psi'),
+    volumeSpacers: {
+      tokens: spacers.tokens,
+      targetRampUp,
+      rampUp: spacers.rampUp,
+      forceAtSag: createQuantity(spacers.forceAtSag, 'N'),
+      forceAtBottomOut: createQuantity(spacers.forceAtBottomOut, 'N'),
+      forceCurve: forceCurve.map((point) => ({
+        stroke: createQuantity(point.stroke * 1000, 'mm'),
+        force: createQuantity(point.force, 'N'),
+      })),
+      options: spacers.options.map((option) => ({
+        tokens: option.tokens,
+        airPressure: createQuantity(paToPsi(option.pressure), 'psi'),
+        rampUp: option.rampUp,
+      })),
+    },
+  };
+}
+
+/**
+ * Select a coil spring weight that gives the target sag
+ * Only shocks get a selection: fork coil springs are sold per fork model
+ * rather than in standard weights
+ * @param {object} end - Resolved suspension end
+ * @param {number} sagPercent - Target sag in %
+ * @param {number} sprungMass - Sprung mass carried by this end in kg
+ * @returns {object|null} Ideal and recommended spring with the sizes either side, or null if not a coil shock
+ */
+function computeCoilSpring(end, sagPercent, sprungMass) {
+  if (end.type !== 'coil' || !end.stroke) {
+    return null;
+  }
+  const selection = selectCoilSpring({ sprungMass, sagPercent, leverageCurve: getSpringCurve(end) });
+  const option = (spring) => spring && {
+    rate: createQuantity(spring.rate, 'lbs/in'),
+    sag: createQuantity(spring.sag, '%'),
+  };
+
+  return {
+    idealRate: createQuantity(selection.idealRate, 'lbs/in'),
+    recommended: option(selection.recommended),
+    softer: option(selection.softer),
+    stiffer: option(selection.stiffer),
+  };
+}
+
+/**
+ * Map the profile damping percentages to clicks on the rider's damper
+ * The profile has one rebound setting per end, used for both rebound adjusters
+ * @param {string} [damperId] - Damper catalogue ID
+ * @param {string} type - End of the bike ('fork' or 'shock')
+ * @param {{lowSpeed: number, highSpeed: number}} compression - Profile compression settings in %
+ * @param {number} reboundPercent - Profile rebound setting in %
+ * @returns {object|null} Clicks from closed per adjuster, or null if no damper was chosen
+ */
+function computeDamperClicks(damperId, type, compression, reboundPercent) {
+  if (!damperId) {
+    return null;
+  }
+  const damper = getDamper(damperId);
+  if (damper && damper.type !== type) {
+    throw new Error(`${damper.name} is not a ${type} damper`);
+  }
+  return mapDamperClicks(damperId, {
+    lsc: compression.lowSpeed,
+    hsc: compression.highSpeed,
+    lsr: reboundPercent,
+    hsr: reboundPercent,
+  });
+}
+
+/**
+ * Describe the spring currently fitted for a sag check
+ * Settings the rider did not enter default to the calculated setup
+ * @param {object} end - Resolved suspension end
+ * @param {object} endSetup - Calculated setup of this end
+ * @param {object} measurement - Measured sag input ({ pressure (psi), tokens, springRate (lbs/in), preload (mm) })
+ * @returns {object} Spring description for analyzeMeasuredSag
+ */
+function resolveFittedSpring(end, endSetup, measurement) {
+  if (end.type === 'air' && end.airChamber) {
+    const pressure = measurement.pressure !== undefined ? measurement.pressure : endSetup.airPressure.value;
+    return {
+      type: 'air',
+      pressure: psiToPa(pressure),
+      airChamber: end.airChamber,
+      tokens: measurement.tokens !== undefined ? measurement.tokens : endSetup.volumeSpacers.tokens,
+    };
+  }
+
+  let rate = measurement.springRate;
+  if (rate === undefined) {
+    rate = endSetup.coilSpring
+      ? endSetup.coilSpring.recommended.rate.value
+      : nPerMmToLbsPerIn(endSetup.springRate.value);
+  }
+  return { type: 'coil', rate: lbsPerInToNPerMm(rate), preload: measurement.preload || 0 };
+}
+
+/**
+ * Compare a measured sag with the profile target and work out the correction
+ * Rear measurements go through the leverage curve, so O-ring sag on the shaft
+ * is compared with the shaft stroke at the target wheel sag
+ * @param {object} end - Resolved suspension end
+ * @param {object} endSetup - Calculated setup of this end
+ * @param {number} sagPercent - Target sag in % of wheel travel
+ * @param {object} [measurement] - Measured sag input ({ stroke | wheel | unloaded + loaded, and current settings })
+ * @param {object} units - Display units for the message (see resolveUnits)
+ * @returns {object|null} Actual and target sag, status and correction, or null without a measurement
+ */
+function computeSagCheck(end, endSetup, sagPercent, measurement, units) {
+  if (!measurement) {
+    return null;
+  }
+  const spring = resolveFittedSpring(end, endSetup, measurement);
+  const check = analyzeMeasuredSag({ curve: getSpringCurve(end), targetPercent: sagPercent, measurement, spring });
+  const point = (sag) => ({
+    stroke: createQuantity(sag.stroke, 'mm'),
+    strokePercent: createQuantity(sag.strokePercent, '%'),
+    wheel: createQuantity(sag.wheel, 'mm'),
+    wheelPercent: createQuantity(sag.wheelPercent, '%'),
+  });
+  const name = end.stroke ? 'shock' : 'fork';
+  const correction = check.correction;
+
+  let adjustment = null;
+  let action = '';
+  if (correction && correction.type === 'pressure') {
+    const change = paToPsi(correction.change);
+    adjustment = {
+      type: 'pressure',
+      airPressure: createQuantity(paToPsi(correction.pressure), 'psi'),
+      change: createQuantity(change, 'psi'),
+    };
+    action = `${change > 0 ? 'add' : 'release'} ${formatQuantity(createQuantity(Math.abs(change), 'psi'), units)} `
+      + `(${formatQuantity(adjustment.airPressure, units)})`;
+  } else if (correction) {
+    const rate = nPerMmToLbsPerIn(correction.rate);
+    adjustment = {
+      type: correction.type,
+      preload: createQuantity(correction.preload, 'mm'),
+      preloadChange: createQuantity(correction.preloadChange, 'mm'),
+      springRate: createQuantity(rate, 'lbs/in'),
+      recommendedSpring: end.stroke ? createQuantity(snapCoilSpringRate(rate), 'lbs/in') : null,
+    };
+    const preloadChange = createQuantity(Math.abs(correction.preloadChange), 'mm');
+    // Springs are sold by their lbs/in rating, so that is always named
+    const spring = adjustment.recommendedSpring || adjustment.springRate;
+    const display = units.springRate === 'lbs/in' ? '' : ` (${formatQuantity(spring, units)})`;
+    action = correction.type === 'preload'
+      ? `${correction.preloadChange > 0 ? 'add' : 'remove'} ${formatQuantity(preloadChange, units)} of preload`
+      : `change to a ${Math.round(spring.value)} lbs/in${display} spring`;
+  }
+
+  const stroke = formatQuantity(createQuantity(check.actual.stroke, 'mm'), units);
+  const measured = name === 'fork'
+    ? stroke
+    : `${stroke} on the shaft, ${check.actual.strokePercent.toFixed(0)}% of stroke`;
+  const actual = `${name === 'fork' ? 'Fork' : 'Shock'} sag is ${check.actual.wheelPercent.toFixed(0)}% (${measured})`;
+  const message = check.status === 'on-target'
+    ? `${actual}, on target`
+    : `${actual} against a ${sagPercent}% target: ${action}`;
+
+  return {
+    actual: point(check.actual),
+    target: point(check.target),
+    difference: createQuantity(check.difference, '%'),
+    status: check.status,
+    adjustment,
+    message,
+  };
+}
+
+/**
+ * Describe the linkage of a rear end at its sag point
+ * @param {object} end - Resolved suspension end
+ * @param {number} sagPercent - Target sag in %
+ * @param {number} wheelForce - Static load at the wheel in N
+ * @returns {object|null} Leverage summary and shock-side sag and rate, or null for forks
+ */
+function computeLeverage(end, sagPercent, wheelForce) {
+  if (!end.stroke) {
+    return null;
+  }
+  const curve = getSpringCurve(end);
+  const summary = analyzeLeverageCurve(curve);
+  const wheelSag = (end.travel * sagPercent) / 100; // mm
+  const ratioAtSag = getLeverageRatioAt(curve, wheelSag);
+  const shockSag = getShockStrokeAt(curve, wheelSag); // mm
+  const shockSpringRate = (wheelForce * ratioAtSag) / (shockSag / 1000); // N/m
+
+  return {
+    stroke: createQuantity(summary.stroke, 'mm'),
+    startingRatio: summary.startingRatio,
+    endingRatio: summary.endingRatio,
+    averageRatio: summary.averageRatio,
+    ratioAtSag,
+    progression: createQuantity(summary.progression, '%'),
+    shockSag: createQuantity(shockSag, 'mm'),
+    shockSpringRate: createQuantity(shockSpringRate / 1000, 'N/mm'),
+    wheelRateAtSag: createQuantity(calculateWheelRateAt(curve, shockSpringRate, wheelSag) / 1000, 'N/mm'),
+  };
+}
+
+/**
+ * Compensate the air pressure of one end for the pump and riding conditions
+ * @param {object} end - Resolved suspension end
+ * @param {object} endSetup - Fork or shock setup with its air pressure and volume spacers
+ * @param {number} wheelForce - Static wheel load in N
+ * @param {object} [conditions] - Resolved conditions (see resolveConditions)
+ * @param {object} [units] - Display units for the message (see resolveUnits)
+ * @returns {object|null} Pressure to pump, sag over the riding temperature range and a message,
+ *   or null without conditions or an air spring
+ */
+function computeCompensation(end, endSetup, wheelForce, conditions, units) {
+  if (!conditions || !endSetup.airPressure) {
+    return null;
+  }
+  const { pump, ride } = conditions;
+  const pressure = psiToPa(endSetup.airPressure.value);
+  const compensation = compensateAirPressure(pressure, pump, ride);
+
+  // The sag follows the pressure as the sealed air warms or cools during the ride;
+  // the wheel load reaches the spring through the leverage ratio along the stroke
+  const curve = getSpringCurve(end);
+  const [travel, stroke] = curve[curve.length - 1];
+  const chamber = createAirChamber(end.airChamber, endSetup.volumeSpacers.tokens);
+  const load = (x) => wheelForce * getLeverageRatioAt(curve, getWheelTravelAt(curve, x * 1000));
+  const temperatures = [ride.minTemperature, ride.temperature, ride.maxTemperature]
+    .filter((temperature, i, all) => all.indexOf(temperature) === i)
+    .sort((a, b) => a - b);
+  const sagDrift = temperatures.map((temperature) => {
+    const sagStroke = calculateSagStroke(
+      calculatePressureAtTemperature(pressure, ride.temperature, temperature),
+      load,
+      chamber,
+      stroke / 1000
+    );
+    return {
+      temperature: createQuantity(temperature, '°C'),
+      sag: createQuantity((getWheelTravelAt(curve, sagStroke * 1000) / travel) * 100, '%'),
+    };
+  });
+
+  const change = paToPsi(compensation.pumpPressure - pressure);
+  const airPressure = createQuantity(paToPsi(compensation.pumpPressure), 'psi');
+  const ridePressure = createQuantity(paToPsi(compensation.ridePressure), 'psi');
+  const place = (where) => `${formatQuantity(createQuantity(where.temperature, '°C'), units, 0)}, `
+    + `${formatQuantity(createQuantity(where.altitude, 'm'), units, 0)}`;
+  // A change that rounds away in the display unit is shown unsigned, not as -0.0
+  const amount = formatQuantity(createQuantity(Math.abs(change), 'psi'), units);
+  const shift = parseFloat(amount) === 0 ? amount : `${change >= 0 ? '+' : '-'}${amount}`;
+  let message = `${end.stroke ? 'Shock' : 'Fork'}: pump to ${formatQuantity(airPressure, units)} at ${place(pump)} `
+    + `(${shift}) to ride at `
+    + `${formatQuantity(endSetup.airPressure, units)} at ${place(ride)}, where a gauge reads `
+    + `${formatQuantity(ridePressure, units)}`;
+  if (sagDrift.length > 1) {
+    const coldest = sagDrift[0];
+    const warmest = sagDrift[sagDrift.length - 1];
+    message += `; sag drifts from ${coldest.sag.value.toFixed(1)}% at ${formatQuantity(coldest.temperature, units, 0)} `
+      + `to ${warmest.sag.value.toFixed(1)}% at ${formatQuantity(warmest.temperature, units, 0)}`;
+  }
+
+  return {
+    pump: { temperature: createQuantity(pump.temperature, '°C'), altitude: createQuantity(pump.altitude, 'm') },
+    ride: { temperature: createQuantity(ride.temperature, '°C'), altitude: createQuantity(ride.altitude, 'm') },
+    airPressure,
+    change: createQuantity(change, 'psi'),
+    ridePressure,
+    sagDrift,
+    message,
+  };
+}
+
+/**
+ * Calculate the setup for one end of the bike
+ * @param {object} params - { end, type ('fork'|'shock'), sagPercent, rampUp, sprungMass, unsprungMass (kg),
+ *   compression, reboundPercent, damper, measuredSag, conditions, units }
+ * @returns {object} Setup for the fork or shock with units
+ */
+function computeEndSetup({
+  end,
+  type,
+  sagPercent,
+  rampUp,
+  sprungMass,
+  unsprungMass,
+  compression,
+  reboundPercent,
+  damper,
+  measuredSag,
+  conditions,
+  units,
+}) {
+  const travel = end.travel;
+  const sagDistance = (travel * sagPercent) / 100; // mm
+  const wheelForce = calculateWeightForce(sprungMass);
+  const springRate = wheelForce / (sagDistance / 1000); // N/m
+  const compressionRatio = settingToDampingRatio(compression.lowSpeed, DAMPING_RATIO_RANGES.compression);
+  const reboundRatio = settingToDampingRatio(reboundPercent, DAMPING_RATIO_RANGES.rebound);
+  const airSpring = computeAirSpring(end, sagPercent, wheelForce, rampUp);
+
+  const setup = {
+    travel: createQuantity(travel, 'mm'),
+    sag: createQuantity(sagPercent, '%'),
+    sagDistance: createQuantity(sagDistance, 'mm'),
+    sprungMass: createQuantity(sprungMass, 'kg'),
+    unsprungMass: createQuantity(unsprungMass, 'kg'),
+    springType: end.type,
+    springRate: createQuantity(springRate / 1000, 'N/mm'),
+    airPressure: airSpring && airSpring.airPressure,
+    volumeSpacers: airSpring && airSpring.volumeSpacers,
+    coilSpring: computeCoilSpring(end, sagPercent, sprungMass),
+    leverage: computeLeverage(end, sagPercent, wheelForce),
+    naturalFrequency: createQuantity(calculateNaturalFrequency(springRate, sprungMass), 'Hz'),
+    compression: {
+      lowSpeed: createQuantity(compression.lowSpeed, '%'),
+      highSpeed: createQuantity(compression.highSpeed, '%'),
+      dampingRatio: compressionRatio,
+      dampingCoefficient: createQuantity(
+        calculateDampingCoefficient(compressionRatio, springRate, sprungMass),
+        'N·s/m'
+      ),
+      classification: classifyDamping(compressionRatio),
+    },
+    rebound: {
+      setting: createQuantity(reboundPercent, '%'),
+      dampingRatio: reboundRatio,
+      dampingCoefficient: createQuantity(
+        calculateDampingCoefficient(reboundRatio, springRate, sprungMass),
+        'N·s/m'
+      ),
+      classification: classifyDamping(reboundRatio),
+    },
+    clicks: computeDamperClicks(damper, type, compression, reboundPercent),
+  };
+  setup.sagCheck = computeSagCheck(end, setup, sagPercent, measuredSag, units);
+  setup.compensation = computeCompensation(end, setup, wheelForce, conditions, units);
+  return setup;
+}
+
+/**
+ * Recommend tire pressures from the load on each wheel
+ * @param {object} [tires] - { width, rimWidth (mm), casing, setup } (see tire-pressure.js)
+ * @param {object} mass - Mass model (see calculateMassModel)
+ * @param {object} profile - Resolved riding profile
+ * @param {object} [units] - Display units for the warnings (see resolveUnits)
+ * @returns {object|null} Tire pressures with units, or null if no tires were given
+ */
+function computeTirePressures(tires, mass, profile, units) {
+  if (!tires) {
+    return null;
+  }
+  const recommendation = recommendTirePressures({
+    front: mass.front.total,
+    rear: mass.rear.total,
+    tire: tires,
+    profile: profile.base || profile.id,
+    units,
+  });
+  const end = (pressure, load) => ({
+    pressure: createQuantity(pressure, 'psi'),
+    load: createQuantity(load, 'kg'),
+  });
+  return {
+    width: createQuantity(tires.width, 'mm'),
+    rimWidth: createQuantity(tires.rimWidth, 'mm'),
+    casing: recommendation.casing,
+    setup: recommendation.setup,
+    front: end(recommendation.front, mass.front.total),
+    rear: end(recommendation.rear, mass.rear.total),
+    warnings: recommendation.warnings,
+  };
+}
+
+/**
+ * Compare the front and rear natural frequencies of a full-suspension setup
+ * @param {object} fork - Fork setup
+ * @param {object} shock - Shock setup
+ * @param {number} profileSag - Rear sag target of the riding profile in %
+ * @returns {object} Frequencies, rear/front ratio, warnings, a rebalancing suggestion and
+ *   a note when the rear sag was lowered from the profile target
+ */
+function computePitchBalance(fork, shock, profileSag) {
+  const toModel = (end) => ({ springRate: end.springRate.value * 1000, sprungMass: end.sprungMass.value });
+  const balance = analyzePitchBalance(toModel(fork), toModel(shock));
+  const suggestion = balance.suggestion && {
+    end: balance.suggestion.end,
+    springRateChange: createQuantity(balance.suggestion.springRateChange, '%'),
+    message: balance.suggestion.message,
+  };
+
+  return {
+    frontFrequency: createQuantity(balance.frontFrequency, 'Hz'),
+    rearFrequency: createQuantity(balance.rearFrequency, 'Hz'),
+    ratio: balance.ratio,
+    status: balance.status,
+    frontFaster: balance.frontFaster,
+    pitching: balance.pitching,
+    warnings: balance.warnings,
+    suggestion,
+    note: shock.sag.value < profileSag
+      ? `Shock sag is set to ${shock.sag.value}% instead of the profile's ${profileSag}% `
+        + 'so the rear is no slower than the fork'
+      : null,
+  };
+}
+
+/**
+ * Compute a complete suspension setup from rider, bike and riding profile
+ * @param {object} input - Setup input
+ * @param {object} input.rider - Rider ({ weight, gear, unit: 'kg'|'lbs', position })
+ * @param {string|object} [input.bike] - Bike preset or catalogue model ID (see bike-models.js), or
+ *   { preset, weight, unsprungMass, travel: { front, rear } }
+ * @param {string|object} [input.profile] - Riding profile ID, or a custom profile (see profiles.js)
+ * @param {object} [input.measuredSag] - Measured sag per end ({ fork, shock }), each { stroke } (O-ring, mm),
+ *   { wheel } or { unloaded, loaded } (axle, mm), with the fitted pressure (psi), tokens, springRate (lbs/in) or preload (mm)
+ * @param {object} [input.dampers] - Damper catalogue IDs ({ fork, shock }) for click settings
+ * @param {object} [input.scales] - Scale readings under each wheel ({ front, rear, unit }),
+ *   used for the front/rear split instead of the riding position default
+ * @param {object} [input.conditions] - Pump and riding conditions for air pressure compensation
+ *   ({ pump: { temperature, altitude }, ride: { temperature, altitude, minTemperature, maxTemperature } }, °C and m)
+ * @param {object} [input.tires] - Tires for the tire pressures ({ width, rimWidth (mm), casing, setup },
+ *   see tire-pressure.js)
+ * @param {object} [input.units] - Unit settings for the messages (see resolveUnits); quantities are
+ *   always in kg, mm, N/mm, psi and N·s/m
+ * @returns {object} Structured fork/shock setup with units (shock and balance are null for hardtails)
+ */
+function computeSetup(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Setup input must be an object');
+  }
+
+  const riderMass = resolveRiderMass(input.rider);
+  const bike = resolveBike(input.bike);
+  const profile = resolveProfile(input.profile);
+  const settings = profile.suspensionSettings;
+  const units = resolveUnits(input.units);
+  const conditions = resolveConditions(input.conditions);
+
+  const mass = calculateMassModel({
+    rider: riderMass.rider,
+    gear: riderMass.gear,
+    bike: bike.weight,
+    category: bike.category,
+    position: input.rider.position,
+    unsprungMass: bike.unsprungMass,
+    scales: resolveScales(input.scales),
+    units,
+  });
+  const endMass = (end) => ({
+    total: createQuantity(end.total, 'kg'),
+    sprung: createQuantity(end.sprung, 'kg'),
+    unsprung: createQuantity(end.unsprung, 'kg'),
+  });
+
+  const dampers = input.dampers || {};
+  const measuredSag = input.measuredSag || {};
+
+  const fork = computeEndSetup({
+    end: bike.front,
+    type: 'fork',
+    sagPercent: settings.sag.front,
+    rampUp: settings.rampUp.front,
+    sprungMass: mass.front.sprung,
+    unsprungMass: mass.front.unsprung,
+    compression: settings.compression,
+    reboundPercent: settings.rebound.front,
+    damper: dampers.fork,
+    measuredSag: measuredSag.fork,
+    conditions,
+    units,
+  });
+
+  // The profile rear sag is lowered where it would leave the rear slower than the fork
+  const shock = bike.rear === null
+    ? null
+    : computeEndSetup({
+      end: bike.rear,
+      type: 'shock',
+      sagPercent: Math.min(settings.sag.rear, calculateBalancedRearSag(fork.sagDistance.value, bike.rear.travel)),
+      rampUp: settings.rampUp.rear,
+      sprungMass: mass.rear.sprung,
+      unsprungMass: mass.rear.unsprung,
+      compression: settings.compression,
+      reboundPercent: settings.rebound.rear,
+      damper: dampers.shock,
+      measuredSag: measuredSag.shock,
+      conditions,
+      units,
+    });
+
+  return {
+    rider: {
+      mass: createQuantity(riderMass.rider, 'kg'),
+      gear: createQuantity(riderMass.gear, 'kg'),
+    },
+    bike: {
+      id: bike.id,
+      name: bike.name,
+      mass: createQuantity(bike.weight, 'kg'),
+    },
+    profile: { id: profile.id, name: profile.name },
+    totalMass: createQuantity(mass.total, 'kg'),
+    mass: {
+      frontShare: mass.frontShare,
+      source: mass.source,
+      front: endMass(mass.front),
+      rear: endMass(mass.rear),
+      warnings: mass.warnings,
+    },
+    fork,
+    shock,
+    balance: shock ? computePitchBalance(fork, shock, settings.sag.rear) : null,
+    tires: computeTirePressures(input.tires, mass, profile, units),
+    recommendations: profile.recommendations.slice(),
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETUP_DEFAULTS,
+    createQuantity,
+    computeSetup,
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Setup File Module
+ * Versioned JSON file format for exporting and importing setups, with
+ * validation and migration of older versions
+ *
+ * Current format (version 2):
+ * {
+ *   "schema": "suspension-setup",
+ *   "version": 2,
+ *   "exportedAt": "2026-05-01T10:00:00.000Z",
+ *   "input": {
+ *     "riderWeight": 80,             // > 0, in weightUnit
+ *     "weightUnit": "kg",            // "kg" | "lbs"
+ *     "gearWeight": 4,               // >= 0, in weightUnit
+ *     "ridingPosition": "standing",  // "seated" | "standing" | "attack"
+ *     "scales": null,                // or { "front": 32, "rear": 58 } in weightUnit
+ *     "suspensionTravel": 150,       // mm, 0 for hardtails
+ *     "forkTravel": 160,             // mm, > 0
+ *     "ridingStyle": "trail",        // riding profile ID
+ *     "customProfile": null,         // the custom profile when ridingStyle is one (see profiles.js)
+ *     "bikeModel": "",               // bike model ID, "" for a custom bike
+ *     "dampers": { "fork": "foxGrip2", "shock": "" },          // damper IDs, "" if not listed
+ *     "measuredSag": { "fork": { "stroke": 40, "pressure": 80 } }, // mm, psi
+ *     "tires": null,                 // or { "width": 61, "rimWidth": 30, "casing": "standard",
+ *                                    //   "setup": "tubeless" } in mm (see tire-pressure.js)
+ *     "conditions": null             // or { "pump": { "temperature": 20, "altitude": 0 },
+ *                                    //   "ride": { "temperature": 5, "altitude": 1500,
+ *                                    //   "minTemperature": 0, "maxTemperature": 10 } } in °C, m
+ *   },
+ *   "results": {                     // setup summary, { value, unit } quantities
+ *     "totalMass": { "value": 93.5, "unit": "kg" },
+ *     "fork": { "springRate": { "value": 9.5, "unit": "N/mm" }, ... },
+ *     "shock": null,                 // null for hardtails
+ *     "tires": { "front": { "value": 21, "unit": "psi" }, "rear": { ... } } // null without tires
+ *   }
+ * }
+ *
+ * Version 1 is the original export: display strings such as "180 lbs" and
+ * "120mm" with no schema or version fields.
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { getRidingProfile } = require('./presets.js');
+  var { getBikeModel } = require('./bike-models.js');
+  var { getDamper } = require('./dampers.js');
+  var { getAvailableTireCasings, getAvailableTireSetups } = require('./tire-pressure.js');
+  var { validateProfile } = require('./profiles.js');
+  var { summarizeSetup } = require('./garage.js');
+  var { deepClone, isValidNumber } = require('./utils.js');
+}
+
+const SETUP_FILE_SCHEMA = 'suspension-setup';
+const SETUP_FILE_VERSION = 2;
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Create a setup file in the current format
+ * @param {object} input - Form input (see the format above)
+ * @param {object} [setup] - Result of computeSetup
+ * @returns {object} Setup file, ready for JSON.stringify
+ */
+function createSetupFile(input, setup) {
+  return {
+    schema: SETUP_FILE_SCHEMA,
+    version: SETUP_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    input: deepClone(input),
+    results: setup ? summarizeSetup(setup) : null,
+  };
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Read a number and optional unit out of a display string (e.g., "180 lbs", "120mm")
+ * @param {*} text - Display string
+ * @returns {{value: number, unit: string}|null} Parsed value, or null if there is no number
+ */
+function parseDisplayValue(text) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*([a-z%/]*)\s*$/i.exec(String(text));
+  return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+/**
+ * Migrate a version 1 export to version 2
+ * The display-string results are dropped; they are recomputed on import
+ * @param {object} file - Version 1 file
+ * @returns {object} Version 2 file
+ */
+function migrateSetupFileV1(file) {
+  const weight = parseDisplayValue(file.riderWeight) || { value: file.riderWeight, unit: '' };
+  const travel = (text) => {
+    const parsed = parseDisplayValue(text);
+    return parsed ? parsed.value : text;
+  };
+  return {
+    schema: SETUP_FILE_SCHEMA,
+    version: 2,
+    exportedAt: file.date || null,
+    input: {
+      riderWeight: weight.value,
+      weightUnit: weight.unit || 'lbs',
+      gearWeight: 0,
+      ridingPosition: 'standing',
+      scales: null,
+      suspensionTravel: travel(file.suspensionTravel),
+      forkTravel: travel(file.forkTravel),
+      ridingStyle: file.ridingStyle === 'dh' ? 'downhill' : file.ridingStyle,
+      bikeModel: file.bikeModel === 'Custom' ? '' : file.bikeModel || '',
+      dampers: { fork: '', shock: '' },
+      measuredSag: {},
+    },
+    results: null,
+  };
+}
+
+// Migrations from each version to the next
+const SETUP_FILE_MIGRATIONS = {
+  1: migrateSetupFileV1,
+};
+
+/**
+ * Get the schema version of a setup file
+ * Files without schema and version fields are version 1 exports
+ * @param {object} file - Parsed setup file
+ * @returns {number} Schema version
+ */
+function getSetupFileVersion(file) {
+  if (file.schema === undefined && file.version === undefined) {
+    return 1;
+  }
+  if (file.schema !== SETUP_FILE_SCHEMA) {
+    throw new Error(`Not a setup file: schema is "${file.schema}"`);
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error(`Invalid setup file version: ${file.version}`);
+  }
+  return file.version;
+}
+
+/**
+ * Migrate a setup file to the current version
+ * @param {object} file - Parsed setup file
+ * @returns {object} Setup file in the current format
+ */
+function migrateSetupFile(file) {
+  let version = getSetupFileVersion(file);
+  if (version > SETUP_FILE_VERSION) {
+    throw new Error(`Setup file version ${version} is newer than this calculator supports (${SETUP_FILE_VERSION})`);
+  }
+  let migrated = file;
+  while (version < SETUP_FILE_VERSION) {
+    migrated = SETUP_FILE_MIGRATIONS[version](migrated);
+    version++;
+  }
+  return migrated;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a setup file in the current format
+ * @param {object} file - Setup file
+ * @returns {Array<{path: string, message: string}>} Field errors (empty when valid)
+ */
+function validateSetupFile(file) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const checkNumber = (path, value, { min = 0, exclusive = false, optional = false } = {}) => {
+    if (value === undefined && optional) {
+      return;
+    }
+    if (!isValidNumber(value)) {
+      fail(path, 'must be a number');
+    } else if (exclusive ? value <= min : value < min) {
+      fail(path, `must be ${exclusive ? 'greater than' : 'at least'} ${min}`);
+    }
+  };
+  const checkOneOf = (path, value, options) => {
+    if (!options.includes(value)) {
+      fail(path, `must be one of ${options.map((option) => `"${option}"`).join(', ')}`);
+    }
+  };
+
+  const input = file.input;
+  if (!isObject(input)) {
+    fail('input', 'must be an object');
+    return errors;
+  }
+
+  checkNumber('input.riderWeight', input.riderWeight, { exclusive: true });
+  checkOneOf('input.weightUnit', input.weightUnit, ['kg', 'lbs']);
+  checkNumber('input.gearWeight', input.gearWeight, { optional: true });
+  if (input.ridingPosition !== undefined) {
+    checkOneOf('input.ridingPosition', input.ridingPosition, ['seated', 'standing', 'attack']);
+  }
+  if (input.scales !== undefined && input.scales !== null) {
+    if (!isObject(input.scales)) {
+      fail('input.scales', 'must be an object or null');
+    } else {
+      checkNumber('input.scales.front', input.scales.front, { exclusive: true });
+      checkNumber('input.scales.rear', input.scales.rear, { exclusive: true });
+    }
+  }
+  checkNumber('input.suspensionTravel', input.suspensionTravel);
+  checkNumber('input.forkTravel', input.forkTravel, { exclusive: true });
+  const customProfile = input.customProfile;
+  if (customProfile !== undefined && customProfile !== null) {
+    validateProfile(customProfile).forEach((item) => fail(`input.customProfile.${item.path}`, item.message));
+  }
+  if (!getRidingProfile(input.ridingStyle) && !(customProfile && customProfile.id === input.ridingStyle)) {
+    fail('input.ridingStyle', `unknown riding profile "${input.ridingStyle}"`);
+  }
+  if (input.bikeModel !== undefined && typeof input.bikeModel !== 'string') {
+    fail('input.bikeModel', 'must be a string');
+  } else if (input.bikeModel && !getBikeModel(input.bikeModel)) {
+    fail('input.bikeModel', `unknown bike model "${input.bikeModel}"`);
+  }
+
+  ['fork', 'shock'].forEach((end) => {
+    const damperId = input.dampers && input.dampers[end];
+    if (damperId) {
+      const damper = getDamper(damperId);
+      if (!damper) {
+        fail(`input.dampers.${end}`, `unknown damper "${damperId}"`);
+      } else if (damper.type !== end) {
+        fail(`input.dampers.${end}`, `${damper.name} is not a ${end} damper`);
+      }
+    }
+
+    const measurement = input.measuredSag && input.measuredSag[end];
+    if (measurement !== undefined && measurement !== null) {
+      checkNumber(`input.measuredSag.${end}.stroke`, measurement.stroke, { exclusive: true });
+      checkNumber(`input.measuredSag.${end}.pressure`, measurement.pressure, { exclusive: true, optional: true });
+    }
+  });
+
+  const tires = input.tires;
+  if (tires !== undefined && tires !== null) {
+    if (!isObject(tires)) {
+      fail('input.tires', 'must be an object or null');
+    } else {
+      checkNumber('input.tires.width', tires.width, { exclusive: true });
+      checkNumber('input.tires.rimWidth', tires.rimWidth, { exclusive: true });
+      checkOneOf('input.tires.casing', tires.casing, getAvailableTireCasings().map((casing) => casing.id));
+      checkOneOf('input.tires.setup', tires.setup, getAvailableTireSetups().map((setup) => setup.id));
+    }
+  }
+
+  const conditions = input.conditions;
+  if (conditions !== undefined && conditions !== null) {
+    if (!isObject(conditions) || !isObject(conditions.pump) || !isObject(conditions.ride)) {
+      fail('input.conditions', 'must be { pump, ride } or null');
+    } else {
+      const temperature = { min: -273.15, exclusive: true };
+      const altitude = { min: -500, optional: true };
+      checkNumber('input.conditions.pump.temperature', conditions.pump.temperature, temperature);
+      checkNumber('input.conditions.pump.altitude', conditions.pump.altitude, altitude);
+      checkNumber('input.conditions.ride.temperature', conditions.ride.temperature, temperature);
+      checkNumber('input.conditions.ride.altitude', conditions.ride.altitude, altitude);
+      ['minTemperature', 'maxTemperature'].forEach((key) => {
+        checkNumber(`input.conditions.ride.${key}`, conditions.ride[key], Object.assign({ optional: true }, temperature));
+      });
+    }
+  }
+
+  if (file.results !== undefined && file.results !== null && !isObject(file.results)) {
+    fail('results', 'must be an object or null');
+  }
+  return errors;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Parse, migrate and validate a setup file
+ * Validation errors are listed one per line as "path: message" and are also
+ * available on the thrown error's errors property
+ * @param {string} text - File contents
+ * @returns {object} { input, results, version (of the file before migration), exportedAt }
+ */
+function importSetupFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Setup file is not valid JSON: ${error.message}`);
+  }
+  if (file === null || typeof file !== 'object' || Array.isArray(file)) {
+    throw new Error('Setup file must contain a JSON object');
+  }
+
+  const version = getSetupFileVersion(file);
+  const migrated = migrateSetupFile(file);
+  const errors = validateSetupFile(migrated);
+  if (errors.length) {
+    const error = new Error(`Invalid setup file:\n${errors.map((item) => `${item.path}: ${item.message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return {
+    input: migrated.input,
+    results: migrated.results || null,
+    version,
+    exportedAt: migrated.exportedAt || null,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETUP_FILE_SCHEMA,
+    SETUP_FILE_VERSION,
+    createSetupFile,
+    migrateSetupFile,
+    validateSetupFile,
+    importSetupFile,
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Share Link Module
+ * Compact, versioned encoding of the form input for the URL hash or query,
+ * e.g. #v=1&w=80&u=kg&ft=160&st=150&r=trail
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { roundTo } = require('./utils.js');
+  var { validateSetupFile } = require('./setup-file.js');
+  var { createCustomProfile, validateProfile } = require('./profiles.js');
+}
+
+const SHARE_LINK_VERSION = 1;
+
+// Format of the custom profile parameter, versioned on its own so links without one are unchanged
+const SHARE_LINK_PROFILE_VERSION = 1;
+
+// Custom profile settings in the order they appear in the link
+const SHARE_LINK_PROFILE_SETTINGS = [
+  'compression.lowSpeed',
+  'compression.highSpeed',
+  'rebound.front',
+  'rebound.rear',
+  'sag.front',
+  'sag.rear',
+  'rampUp.front',
+  'rampUp.rear',
+];
+
+// Link parameters for the numeric and text fields of the form input
+const SHARE_LINK_FIELDS = {
+  w: 'riderWeight',
+  g: 'gearWeight',
+  st: 'suspensionTravel',
+  ft: 'forkTravel',
+  r: 'ridingStyle',
+  p: 'ridingPosition',
+  b: 'bikeModel',
+};
+
+// Decimal places kept in links, fine enough for the form fields in either unit system:
+// weights in the weight unit, lengths in mm, pressures in psi, temperatures in °C and altitudes in m
+const SHARE_LINK_DECIMALS = {
+  weight: 1,
+  length: 1,
+  pressure: 1,
+  temperature: 1,
+  altitude: 0,
+};
+
+// Numeric form fields with the precision they are linked with
+const SHARE_LINK_NUMBER_FIELDS = {
+  riderWeight: SHARE_LINK_DECIMALS.weight,
+  gearWeight: SHARE_LINK_DECIMALS.weight,
+  suspensionTravel: SHARE_LINK_DECIMALS.length,
+  forkTravel: SHARE_LINK_DECIMALS.length,
+};
+
+/**
+ * Round a value for a link; missing and invalid values are left empty
+ * @param {number} value - Value
+ * @param {string} type - Precision type (see SHARE_LINK_DECIMALS)
+ * @returns {number|string} Rounded value, or ''
+ */
+function roundLinkValue(value, type) {
+  const rounded = roundTo(value, SHARE_LINK_DECIMALS[type]);
+  return rounded === null ? '' : rounded;
+}
+
+/**
+ * Encode form input as link parameters
+ * Empty and zero optional values are left out to keep links short
+ * @param {object} input - Form input (see setup-file.js for the fields)
+ * @returns {string} Parameters without the leading '#' or '?'
+ */
+function encodeSetupLink(input) {
+  const params = new URLSearchParams();
+  params.set('v', SHARE_LINK_VERSION);
+  params.set('u', input.weightUnit);
+  Object.keys(SHARE_LINK_FIELDS).forEach((key) => {
+    const field = SHARE_LINK_FIELDS[key];
+    const value = field in SHARE_LINK_NUMBER_FIELDS ? roundTo(input[field], SHARE_LINK_NUMBER_FIELDS[field]) : input[field];
+    if (value !== undefined && value !== null && value !== '' && value !== 0) {
+      params.set(key, value);
+    }
+  });
+  if (input.scales) {
+    params.set('sc', [input.scales.front, input.scales.rear].map((value) => roundLinkValue(value, 'weight')).join(','));
+  }
+  if (input.dampers && (input.dampers.fork || input.dampers.shock)) {
+    params.set('d', `${input.dampers.fork || ''},${input.dampers.shock || ''}`);
+  }
+  ['fork', 'shock'].forEach((end) => {
+    const measurement = input.measuredSag && input.measuredSag[end];
+    if (measurement) {
+      const values = [roundLinkValue(measurement.stroke, 'length')];
+      if (measurement.pressure !== undefined) {
+        values.push(roundLinkValue(measurement.pressure, 'pressure'));
+      }
+      params.set(`m${end.charAt(0)}`, values.join(','));
+    }
+  });
+  if (input.tires) {
+    const { width, rimWidth, casing, setup } = input.tires;
+    params.set('t', [roundLinkValue(width, 'length'), roundLinkValue(rimWidth, 'length'), casing, setup].join(','));
+  }
+  if (input.conditions) {
+    const { pump, ride } = input.conditions;
+    params.set('c', [
+      roundLinkValue(pump.temperature, 'temperature'),
+      roundLinkValue(pump.altitude, 'altitude'),
+      roundLinkValue(ride.temperature, 'temperature'),
+      roundLinkValue(ride.altitude, 'altitude'),
+      roundLinkValue(ride.minTemperature, 'temperature'),
+      roundLinkValue(ride.maxTemperature, 'temperature'),
+    ].join(','));
+  }
+  // Custom profiles are only saved on the device that made them, so the link carries their settings
+  const profile = input.customProfile;
+  if (profile) {
+    const settings = SHARE_LINK_PROFILE_SETTINGS.map((path) => path.split('.')
+      .reduce((node, key) => (node ? node[key] : undefined), profile.suspensionSettings));
+    const blend = profile.blend || { profile: '', share: '' };
+    params.set('cp', [SHARE_LINK_PROFILE_VERSION, profile.base, blend.profile, blend.share].concat(settings).join(','));
+    params.set('pn', profile.name);
+    if (profile.recommendations.length) {
+      params.set('pr', profile.recommendations.join('\n'));
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Split a comma-separated link parameter into numbers
+ * @param {string} text - Parameter value
+ * @returns {number[]} Values (NaN where a value is not a number)
+ */
+function parseLinkNumbers(text) {
+  return text.split(',').map((value) => (value.trim() === '' ? NaN : Number(value)));
+}
+
+/**
+ * Rebuild a custom profile from its link parameters
+ * @param {URLSearchParams} params - Link parameters
+ * @returns {{profile: object|null, errors: Array<{path: string, message: string}>}} The profile,
+ *   or the setting errors when it is invalid
+ */
+function decodeLinkProfile(params) {
+  const [version, base, blendProfile, ...values] = params.get('cp').split(',');
+  if (Number(version) !== SHARE_LINK_PROFILE_VERSION) {
+    throw new Error(`Unsupported custom profile version: ${version}`);
+  }
+  const [share, ...numbers] = parseLinkNumbers(values.join(','));
+  const suspensionSettings = {};
+  SHARE_LINK_PROFILE_SETTINGS.forEach((path, i) => {
+    const [group, key] = path.split('.');
+    suspensionSettings[group] = Object.assign(suspensionSettings[group] || {}, { [key]: numbers[i] });
+  });
+  const options = {
+    name: params.get('pn') || '',
+    blend: blendProfile ? { profile: blendProfile, share } : null,
+    suspensionSettings,
+    recommendations: params.has('pr') ? params.get('pr').split('\n') : [],
+  };
+
+  const errors = validateProfile(options)
+    .map((item) => ({ path: `input.customProfile.${item.path}`, message: item.message }));
+  return { profile: errors.length ? null : createCustomProfile(base, options), errors };
+}
+
+/**
+ * Decode and validate link parameters
+ * @param {string} text - URL hash or query, with or without the leading '#' or '?'
+ * @returns {object|null} Form input, or null if the text holds no setup
+ */
+function decodeSetupLink(text) {
+  const params = new URLSearchParams(String(text || '').replace(/^[#?]/, ''));
+  if (!params.has('v')) {
+    return null;
+  }
+  const version = Number(params.get('v'));
+  if (version !== SHARE_LINK_VERSION) {
+    throw new Error(`Unsupported setup link version: ${params.get('v')}`);
+  }
+
+  const input = {
+    weightUnit: params.get('u'),
+    gearWeight: 0,
+    ridingPosition: 'standing',
+    scales: null,
+    suspensionTravel: 0,
+    bikeModel: '',
+    dampers: { fork: '', shock: '' },
+    measuredSag: {},
+    tires: null,
+    conditions: null,
+    customProfile: null,
+  };
+  Object.keys(SHARE_LINK_FIELDS).forEach((key) => {
+    if (params.has(key)) {
+      const field = SHARE_LINK_FIELDS[key];
+      input[field] = field in SHARE_LINK_NUMBER_FIELDS ? Number(params.get(key)) : params.get(key);
+    }
+  });
+  if (params.has('sc')) {
+    const [front, rear] = parseLinkNumbers(params.get('sc'));
+    input.scales = { front, rear };
+  }
+  if (params.has('d')) {
+    const [fork = '', shock = ''] = params.get('d').split(',');
+    input.dampers = { fork, shock };
+  }
+  ['fork', 'shock'].forEach((end) => {
+    const key = `m${end.charAt(0)}`;
+    if (params.has(key)) {
+      const [stroke, pressure] = parseLinkNumbers(params.get(key));
+      input.measuredSag[end] = pressure === undefined ? { stroke } : { stroke, pressure };
+    }
+  });
+
+  if (params.has('t')) {
+    const [width, rimWidth] = parseLinkNumbers(params.get('t'));
+    const [casing, setup] = params.get('t').split(',').slice(2);
+    input.tires = { width, rimWidth, casing, setup };
+  }
+  if (params.has('c')) {
+    const [pumpTemperature, pumpAltitude, rideTemperature, rideAltitude, minTemperature, maxTemperature] =
+      parseLinkNumbers(params.get('c'));
+    input.conditions = {
+      pump: { temperature: pumpTemperature, altitude: pumpAltitude },
+      ride: { temperature: rideTemperature, altitude: rideAltitude, minTemperature, maxTemperature },
+    };
+  }
+
+  let errors = [];
+  if (params.has('cp')) {
+    const decoded = decodeLinkProfile(params);
+    input.customProfile = decoded.profile;
+    errors = decoded.errors;
+  }
+
+  errors = errors.concat(validateSetupFile({ input }));
+  if (errors.length) {
+    const error = new Error(`Invalid setup link:\n${errors.map((item) => `${item.path}: ${item.message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return input;
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHARE_LINK_VERSION,
+    encodeSetupLink,
+    decodeSetupLink,
+  };
+}
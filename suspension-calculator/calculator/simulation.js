@@ -0,0 +1,308 @@
+/**
+ * Quarter-Car Simulation Module
+ * Time-domain response of a sprung/unsprung quarter-car model to a road
+ * profile, integrated with fixed-step RK4
+ *
+ * Displacements are measured from static equilibrium (sag), positive up.
+ * Suspension compression is positive when the wheel moves toward the chassis.
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { calculateWeightForce } = require('./suspension-math.js');
+}
+
+// Bump/top-out stops are modelled as stiff springs engaged past the travel limits
+const STOP_STIFFNESS_FACTOR = 50;
+
+// Defaults for the parts of the model the setup engine does not size
+const QUARTER_CAR_DEFAULTS = {
+  unsprungMass: 4, // kg (wheel, tire, brake, lower legs or swingarm share)
+  tireStiffness: 150000, // N/m
+  tireDamping: 50, // N·s/m
+  duration: 2, // s
+  timeStep: 0.0005, // s
+  settlingTolerance: 0.02, // share of the input height, at least 1 mm
+};
+
+// ============================================================================
+// ROAD PROFILES
+// ============================================================================
+
+/**
+ * Create a step road profile (e.g., a ledge or a drop when height is negative)
+ * @param {number} height - Step height in m
+ * @param {number} [startTime=0.1] - Time of the step in s
+ * @returns {function(number): number} Road height in m at time t
+ */
+function createStepRoad(height, startTime = 0.1) {
+  return (t) => (t >= startTime ? height : 0);
+}
+
+/**
+ * Create a half-sine bump road profile
+ * @param {number} height - Bump height in m
+ * @param {number} length - Bump length in m
+ * @param {number} speed - Riding speed in m/s
+ * @param {number} [startTime=0.1] - Time the wheel reaches the bump in s
+ * @returns {function(number): number} Road height in m at time t
+ */
+function createBumpRoad(height, length, speed, startTime = 0.1) {
+  if (length <= 0 || speed <= 0) {
+    throw new Error('Bump length and speed must be positive values');
+  }
+  const duration = length / speed;
+  return (t) => {
+    if (t < startTime || t > startTime + duration) {
+      return 0;
+    }
+    return height * Math.sin((Math.PI * (t - startTime)) / duration);
+  };
+}
+
+/**
+ * Create a road profile from sampled points, linearly interpolated
+ * @param {Array<{time: number, height: number}>} samples - Samples sorted by time (s, m)
+ * @returns {function(number): number} Road height in m at time t
+ */
+function createSampledRoad(samples) {
+  if (!Array.isArray(samples) || samples.length < 2) {
+    throw new Error('Sampled road needs at least two samples');
+  }
+  return (t) => {
+    if (t <= samples[0].time) {
+      return samples[0].height;
+    }
+    for (let i = 1; i < samples.length; i++) {
+      if (t <= samples[i].time) {
+        const [a, b] = [samples[i - 1], samples[i]];
+        return a.height + ((t - a.time) / (b.time - a.time)) * (b.height - a.height);
+      }
+    }
+    return samples[samples.length - 1].height;
+  };
+}
+
+// ============================================================================
+// MODEL
+// ============================================================================
+
+/**
+ * Build quarter-car parameters from one end of a computed setup
+ * @param {object} endSetup - Fork or shock result from computeSetup
+ * @param {object} [overrides] - Any simulateQuarterCar parameter to override
+ * @returns {object} Parameters for simulateQuarterCar (SI units)
+ */
+function createQuarterCarFromSetup(endSetup, overrides = {}) {
+  return Object.assign({
+    sprungMass: endSetup.sprungMass.value,
+    unsprungMass: endSetup.unsprungMass ? endSetup.unsprungMass.value : QUARTER_CAR_DEFAULTS.unsprungMass,
+    springRate: endSetup.springRate.value * 1000,
+    damping: {
+      compression: endSetup.compression.dampingCoefficient.value,
+      rebound: endSetup.rebound.dampingCoefficient.value,
+    },
+    tireStiffness: QUARTER_CAR_DEFAULTS.tireStiffness,
+    tireDamping: QUARTER_CAR_DEFAULTS.tireDamping,
+    travel: endSetup.travel.value / 1000,
+    sag: endSetup.sagDistance.value / 1000,
+  }, overrides);
+}
+
+/**
+ * Calculate state derivatives of the quarter-car model
+ * State is [sprung displacement, sprung velocity, unsprung displacement, unsprung velocity]
+ * @param {number[]} state - Current state (m, m/s)
+ * @param {number} roadHeight - Road height in m
+ * @param {number} roadVelocity - Road vertical velocity in m/s
+ * @param {object} model - Model parameters (see simulateQuarterCar)
+ * @returns {number[]} State derivatives
+ */
+function quarterCarDerivatives(state, roadHeight, roadVelocity, model) {
+  const [zs, vs, zu, vu] = state;
+  const deflection = zu - zs; // compression from sag
+  const deflectionVelocity = vu - vs;
+  const compression = model.sag + deflection;
+
+  let suspensionForce = model.springRate * deflection;
+  if (compression > model.travel) {
+    suspensionForce += model.stopStiffness * (compression - model.travel);
+  } else if (compression < 0) {
+    suspensionForce += model.stopStiffness * compression;
+  }
+  suspensionForce += deflectionVelocity > 0
+    ? model.damping.compression * deflectionVelocity
+    : model.damping.rebound * deflectionVelocity;
+
+  // Tire force relative to static load; it can pull no more than the static load (lift-off)
+  const tireForce = Math.max(
+    -model.staticLoad,
+    model.tireStiffness * (roadHeight - zu) + model.tireDamping * (roadVelocity - vu)
+  );
+
+  return [
+    vs,
+    suspensionForce / model.sprungMass,
+    vu,
+    (tireForce - suspensionForce) / model.unsprungMass,
+  ];
+}
+
+/**
+ * Advance the state one RK4 step
+ * @param {number[]} state - Current state
+ * @param {number} t - Current time in s
+ * @param {number} dt - Time step in s
+ * @param {function(number): number} road - Road profile
+ * @param {object} model - Model parameters
+ * @returns {number[]} Next state
+ */
+function rk4Step(state, t, dt, road, model) {
+  const roadVelocity = (time) => (road(time + dt / 2) - road(time - dt / 2)) / dt;
+  const derivatives = (time, s) => quarterCarDerivatives(s, road(time), roadVelocity(time), model);
+  const offset = (s, k, h) => s.map((value, i) => value + k[i] * h);
+
+  const k1 = derivatives(t, state);
+  const k2 = derivatives(t + dt / 2, offset(state, k1, dt / 2));
+  const k3 = derivatives(t + dt / 2, offset(state, k2, dt / 2));
+  const k4 = derivatives(t + dt, offset(state, k3, dt));
+  return state.map((value, i) => value + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+/**
+ * Simulate the quarter-car response to a road profile
+ * @param {object} params - Simulation parameters (SI units)
+ * @param {number} params.sprungMass - Sprung mass in kg
+ * @param {number} [params.unsprungMass=4] - Unsprung mass in kg
+ * @param {number} params.springRate - Wheel rate in N/m
+ * @param {{compression: number, rebound: number}} params.damping - Damping coefficients in N·s/m
+ * @param {number} [params.tireStiffness=150000] - Tire vertical stiffness in N/m
+ * @param {number} [params.tireDamping=50] - Tire damping in N·s/m
+ * @param {number} params.travel - Suspension travel in m
+ * @param {number} params.sag - Static sag in m
+ * @param {function(number): number} params.road - Road height in m at time t
+ * @param {number} [params.duration=2] - Simulated time in s
+ * @param {number} [params.timeStep=0.0005] - Integration step in s
+ * @returns {object} { time, sprung, unsprung, travel, metrics } with time series in SI units
+ */
+function simulateQuarterCar(params) {
+  const model = Object.assign({}, QUARTER_CAR_DEFAULTS, params);
+  const { sprungMass, unsprungMass, springRate, damping, travel, sag, road, duration, timeStep } = model;
+
+  if (sprungMass <= 0 || unsprungMass <= 0 || springRate <= 0 || model.tireStiffness <= 0) {
+    throw new Error('Masses, spring rate and tire stiffness must be positive values');
+  }
+  if (!damping || damping.compression < 0 || damping.rebound < 0) {
+    throw new Error('Compression and rebound damping must be non-negative');
+  }
+  if (travel <= 0 || sag < 0 || sag >= travel) {
+    throw new Error('Travel must be positive and sag within the travel');
+  }
+  if (typeof road !== 'function') {
+    throw new Error('Road profile must be a function of time');
+  }
+  if (duration <= 0 || timeStep <= 0) {
+    throw new Error('Duration and time step must be positive values');
+  }
+
+  model.stopStiffness = springRate * STOP_STIFFNESS_FACTOR;
+  model.staticLoad = calculateWeightForce(sprungMass + unsprungMass);
+
+  const steps = Math.ceil(duration / timeStep);
+  const series = {
+    time: [],
+    road: [],
+    sprung: { displacement: [], velocity: [], acceleration: [] },
+    unsprung: { displacement: [], velocity: [], acceleration: [] },
+    travel: [],
+  };
+
+  let state = [0, 0, 0, 0];
+  for (let i = 0; i <= steps; i++) {
+    const t = i * timeStep;
+    const roadHeight = road(t);
+    const roadVelocity = (road(t + timeStep / 2) - road(t - timeStep / 2)) / timeStep;
+    const derivative = quarterCarDerivatives(state, roadHeight, roadVelocity, model);
+
+    series.time.push(t);
+    series.road.push(roadHeight);
+    series.sprung.displacement.push(state[0]);
+    series.sprung.velocity.push(state[1]);
+    series.sprung.acceleration.push(derivative[1]);
+    series.unsprung.displacement.push(state[2]);
+    series.unsprung.velocity.push(state[3]);
+    series.unsprung.acceleration.push(derivative[3]);
+    series.travel.push(sag + state[2] - state[0]);
+
+    state = rk4Step(state, t, timeStep, road, model);
+  }
+
+  return Object.assign(series, { metrics: analyzeResponse(series, model) });
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * Calculate response metrics from a simulated time series
+ * @param {object} series - Time series from simulateQuarterCar
+ * @param {object} model - Model parameters
+ * @returns {object} Overshoot (m, and % of a step input), settling time (s), peak travel used
+ *   (m and %), and bottom-out/top-out event counts
+ */
+function analyzeResponse(series, model) {
+  const displacement = series.sprung.displacement;
+  const finalHeight = series.road[series.road.length - 1];
+  const inputHeight = series.road.reduce((max, height) => Math.max(max, Math.abs(height)), 0);
+  const tolerance = Math.max(0.001, inputHeight * model.settlingTolerance);
+
+  // Overshoot past the final position, in the direction of the input
+  const direction = finalHeight < 0 ? -1 : 1;
+  const peak = displacement.reduce((max, z) => Math.max(max, direction * (z - finalHeight)), -Infinity);
+  const overshoot = Math.max(0, peak);
+
+  let settlingTime = 0;
+  for (let i = displacement.length - 1; i >= 0; i--) {
+    if (Math.abs(displacement[i] - finalHeight) > tolerance) {
+      settlingTime = series.time[Math.min(i + 1, series.time.length - 1)];
+      break;
+    }
+  }
+
+  let bottomOutEvents = 0;
+  let topOutEvents = 0;
+  for (let i = 1; i < series.travel.length; i++) {
+    if (series.travel[i] > model.travel && series.travel[i - 1] <= model.travel) {
+      bottomOutEvents++;
+    }
+    if (series.travel[i] < 0 && series.travel[i - 1] >= 0) {
+      topOutEvents++;
+    }
+  }
+
+  const peakTravel = Math.min(model.travel, series.travel.reduce((max, travel) => Math.max(max, travel), -Infinity));
+  return {
+    overshoot,
+    overshootPercent: finalHeight !== 0 ? (overshoot / Math.abs(finalHeight)) * 100 : null,
+    settlingTime,
+    settled: Math.abs(displacement[displacement.length - 1] - finalHeight) <= tolerance,
+    peakTravel,
+    peakTravelPercent: (peakTravel / model.travel) * 100,
+    bottomOutEvents,
+    topOutEvents,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QUARTER_CAR_DEFAULTS,
+    createStepRoad,
+    createBumpRoad,
+    createSampledRoad,
+    createQuarterCarFromSetup,
+    simulateQuarterCar,
+  };
+}
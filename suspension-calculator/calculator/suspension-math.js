@@ -3,6 +3,8 @@
  * Calculations for spring rate and damping in suspension systems
  */
 
+const GRAVITY = 9.81; // m/s²
+
 /**
  * Calculate spring rate (k) from frequency and mass
  * Formula: k = (2π * f)² * m
@@ -124,6 +126,47 @@ function calculateDeflection(force, springRate) {
   return force / springRate;
 }
 
+/**
+ * Calculate wheel rate from a spring rate acting through a leverage ratio
+ * Formula: k_wheel = k_spring / LR²
+ * @param {number} springRate - Spring rate at the shock in N/m
+ * @param {number} leverageRatio - Wheel travel per unit of shock stroke
+ * @returns {number} Wheel rate in N/m
+ */
+function calculateWheelRate(springRate, leverageRatio) {
+  if (springRate <= 0 || leverageRatio <= 0) {
+    throw new Error('Spring rate and leverage ratio must be positive values');
+  }
+  return springRate / Math.pow(leverageRatio, 2);
+}
+
+/**
+ * Calculate the spring rate at the shock needed for a wheel rate
+ * Formula: k_spring = k_wheel * LR²
+ * @param {number} wheelRate - Wheel rate in N/m
+ * @param {number} leverageRatio - Wheel travel per unit of shock stroke
+ * @returns {number} Spring rate at the shock in N/m
+ */
+function calculateShockSpringRate(wheelRate, leverageRatio) {
+  if (wheelRate <= 0 || leverageRatio <= 0) {
+    throw new Error('Wheel rate and leverage ratio must be positive values');
+  }
+  return wheelRate * Math.pow(leverageRatio, 2);
+}
+
+/**
+ * Calculate the static weight force of a mass
+ * Formula: F = m * g
+ * @param {number} mass - Mass in kg
+ * @returns {number} Force in N
+ */
+function calculateWeightForce(mass) {
+  if (mass < 0) {
+    throw new Error('Mass cannot be negative');
+  }
+  return mass * GRAVITY;
+}
+
 /**
  * Calculate stiffness from two spring rates in series
  * Formula: k_total = (k1 * k2) / (k1 + k2)
@@ -163,6 +206,9 @@ if (typeof module !== 'undefined' && module.exports) {
     calculatePeriod,
     classifyDamping,
     calculateDeflection,
+    calculateWeightForce,
+    calculateWheelRate,
+    calculateShockSpringRate,
     calculateSeriesSpringRate,
     calculateParallelSpringRate
   };
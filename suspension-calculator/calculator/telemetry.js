@@ -0,0 +1,446 @@
+/**
+ * Telemetry Module
+ * Travel sensor logs (time-stamped fork and shock position) imported from CSV
+ * or JSON and reduced to travel statistics per end: dynamic sag, average and
+ * maximum travel, bottom-outs, time per travel zone and a travel histogram,
+ * compared against the static sag and targets of a computed setup
+ *
+ * Positions are in mm as the sensors measure them: fork travel at the fork,
+ * shaft stroke at the shock
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { clamp, isValidNumber, roundTo } = require('./utils.js');
+}
+
+// Column names accepted for each field; time is in seconds, or ms for time_ms
+const TELEMETRY_COLUMNS = {
+  time: ['time', 't', 'time_s', 'timestamp', 'seconds'],
+  timeMs: ['time_ms', 'ms', 'millis'],
+  fork: ['fork', 'front', 'fork_mm'],
+  shock: ['shock', 'rear', 'shock_mm'],
+};
+
+const TELEMETRY_MODEL = {
+  minSamples: 2,
+  maxGap: 1, // s; longer gaps (logger paused) don't count as riding time
+  idleThreshold: 3, // % of travel below which the end is unloaded (bike lifted, in the air)
+  bottomOutThreshold: 95, // % of travel counted as a bottom-out
+  bottomOutReset: 85, // % the end has to return to before the next bottom-out counts
+  histogramBinWidth: 10, // % of travel
+};
+
+// Travel zones, as % of the measured travel
+const TRAVEL_ZONES = [
+  { id: 'top', name: 'Top', max: 20 },
+  { id: 'sag', name: 'Sag', max: 40 },
+  { id: 'mid', name: 'Mid-stroke', max: 70 },
+  { id: 'deep', name: 'Deep', max: 90 },
+  { id: 'end', name: 'End-stroke', max: 100 },
+];
+
+// What the logged travel is held against
+const TELEMETRY_TARGETS = {
+  sagBelow: 5, // % dynamic sag may sit above (less than) the static sag
+  sagAbove: 10, // % dynamic sag may sit below (more than) the static sag
+  minTravelUsed: 85, // % of travel a full ride should reach
+  maxBottomOuts: 2,
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Find the field a column name stands for
+ * @param {string} name - Column name or JSON key
+ * @returns {string|null} Field name (time, timeMs, fork, shock), or null if not recognised
+ */
+function matchTelemetryColumn(name) {
+  const key = String(name).trim().toLowerCase().replace(/\s*\(mm\)$/, '').replace(/\s+/g, '_');
+  return Object.keys(TELEMETRY_COLUMNS).find((field) => TELEMETRY_COLUMNS[field].includes(key)) || null;
+}
+
+/**
+ * Check the samples of a log and list the ends it covers
+ * @param {Array<object>} samples - { time (s), fork, shock (mm or null) }
+ * @returns {object} { samples, ends, duration (s) }
+ */
+function normalizeTelemetry(samples) {
+  if (samples.length < TELEMETRY_MODEL.minSamples) {
+    throw new Error(`A telemetry log needs at least ${TELEMETRY_MODEL.minSamples} samples`);
+  }
+  samples.forEach((sample, i) => {
+    if (i > 0 && sample.time <= samples[i - 1].time) {
+      throw new Error(`Sample ${i + 1}: time must increase from one sample to the next`);
+    }
+  });
+  const ends = ['fork', 'shock'].filter((end) => samples.filter((sample) => sample[end] !== null).length >= 2);
+  if (!ends.length) {
+    throw new Error('The telemetry log has no fork or shock positions');
+  }
+  return { samples, ends, duration: samples[samples.length - 1].time - samples[0].time };
+}
+
+/**
+ * Read one position value; empty cells are missing readings
+ * @param {*} value - Cell or JSON value
+ * @param {string} where - Sample description for the error
+ * @returns {number|null} Position in mm, or null if missing
+ */
+function readPosition(value, where) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : Number(value);
+  if (!isValidNumber(number)) {
+    throw new Error(`${where}: "${value}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Parse a CSV telemetry log
+ * The first line names the columns (e.g., time,fork,shock); comma, semicolon
+ * and tab separators are accepted and lines starting with # are skipped
+ * @param {string} text - CSV text
+ * @returns {object} { samples: [{ time (s), fork, shock (mm or null) }], ends, duration (s) }
+ */
+function parseTelemetryCsv(text) {
+  const lines = String(text).split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter((item) => item.line && !item.line.startsWith('#'));
+  if (!lines.length) {
+    throw new Error('The telemetry file is empty');
+  }
+  const header = lines[0].line;
+  const separator = ['\t', ';', ','].find((candidate) => header.includes(candidate)) || ',';
+  const fields = header.split(separator).map(matchTelemetryColumn);
+  const timeIndex = fields.findIndex((field) => field === 'time' || field === 'timeMs');
+  if (timeIndex === -1) {
+    throw new Error('The telemetry file needs a time column (time in s or time_ms)');
+  }
+  const scale = fields[timeIndex] === 'timeMs' ? 0.001 : 1;
+
+  const samples = lines.slice(1).map((item) => {
+    const cells = item.line.split(separator);
+    const where = `Line ${item.number}`;
+    const time = readPosition(cells[timeIndex], where);
+    if (time === null) {
+      throw new Error(`${where}: time is missing`);
+    }
+    const sample = { time: time * scale, fork: null, shock: null };
+    fields.forEach((field, i) => {
+      if (field === 'fork' || field === 'shock') {
+        sample[field] = readPosition(cells[i] === undefined ? '' : cells[i].trim(), where);
+      }
+    });
+    return sample;
+  });
+  return normalizeTelemetry(samples);
+}
+
+/**
+ * Parse a JSON telemetry log
+ * Either a list of samples ([{ time, fork, shock }]), an object with such a
+ * list as samples, or columns ({ time: [...], fork: [...], shock: [...] })
+ * @param {string|object} data - JSON text or parsed value
+ * @returns {object} { samples: [{ time (s), fork, shock (mm or null) }], ends, duration (s) }
+ */
+function parseTelemetryJson(data) {
+  let value = data;
+  if (typeof data === 'string') {
+    try {
+      value = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`The telemetry file is not valid JSON: ${error.message}`);
+    }
+  }
+  if (value && !Array.isArray(value) && Array.isArray(value.samples)) {
+    value = value.samples;
+  }
+
+  // Columns are turned into samples
+  if (value && !Array.isArray(value) && typeof value === 'object') {
+    const columns = {};
+    Object.keys(value).forEach((key) => {
+      const field = matchTelemetryColumn(key);
+      if (field && Array.isArray(value[key])) {
+        columns[field] = value[key];
+      }
+    });
+    const times = columns.time || columns.timeMs;
+    if (!times) {
+      throw new Error('The telemetry file needs a time column (time in s or time_ms)');
+    }
+    value = times.map((time, i) => ({
+      [columns.time ? 'time' : 'time_ms']: time,
+      fork: columns.fork ? columns.fork[i] : null,
+      shock: columns.shock ? columns.shock[i] : null,
+    }));
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('The telemetry file must hold a list of samples');
+  }
+
+  const samples = value.map((item, i) => {
+    const where = `Sample ${i + 1}`;
+    if (!item || typeof item !== 'object') {
+      throw new Error(`${where}: must be an object`);
+    }
+    const sample = { time: null, fork: null, shock: null };
+    Object.keys(item).forEach((key) => {
+      const field = matchTelemetryColumn(key);
+      if (field === 'time' || field === 'timeMs') {
+        const time = readPosition(item[key], where);
+        sample.time = time === null ? null : time * (field === 'timeMs' ? 0.001 : 1);
+      } else if (field) {
+        sample[field] = readPosition(item[key], where);
+      }
+    });
+    if (sample.time === null) {
+      throw new Error(`${where}: time is missing`);
+    }
+    return sample;
+  });
+  return normalizeTelemetry(samples);
+}
+
+/**
+ * Parse a telemetry log, telling JSON from CSV by its first character
+ * @param {string} text - File contents
+ * @returns {object} { samples, ends, duration (s) } (see parseTelemetryCsv)
+ */
+function parseTelemetry(text) {
+  const first = String(text).trim().charAt(0);
+  return first === '{' || first === '[' ? parseTelemetryJson(text) : parseTelemetryCsv(text);
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Take the time-weighted median of a set of positions
+ * @param {Array<{percent: number, time: number}>} points - Positions with the time spent at each
+ * @returns {number|null} Median position in %, or null without riding time
+ */
+function calculateWeightedMedian(points) {
+  const total = points.reduce((sum, point) => sum + point.time, 0);
+  if (total === 0) {
+    return null;
+  }
+  const sorted = points.slice().sort((a, b) => a.percent - b.percent);
+  let elapsed = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    elapsed += sorted[i].time;
+    if (elapsed >= total / 2) {
+      return sorted[i].percent;
+    }
+  }
+  return sorted[sorted.length - 1].percent;
+}
+
+/**
+ * Calculate the travel statistics of one end
+ * Each reading holds until the next reading of the same end, so the statistics
+ * are weighted by time rather than by sample count. Dynamic sag is the median position while
+ * the end is loaded; the average includes the unloaded time
+ * @param {Array<object>} samples - Parsed samples (see parseTelemetry)
+ * @param {string} end - 'fork' or 'shock'
+ * @param {number} length - Travel or stroke the positions are measured against in mm
+ * @returns {object} { samples, time (s), dynamicSag, average, max (% of length), bottomOuts,
+ *   zones: [{ id, name, from, to, time, share }], histogram: [{ from, to, time, share }] }
+ */
+function calculateTravelStatistics(samples, end, length) {
+  if (!(length > 0)) {
+    throw new Error('Travel must be a positive value');
+  }
+  const readings = samples.filter((sample) => sample[end] !== null);
+  if (readings.length < 2) {
+    throw new Error(`The telemetry log has no ${end} positions`);
+  }
+
+  const points = readings.map((sample, i) => {
+    const next = readings[i + 1];
+    const gap = next ? next.time - sample.time : 0;
+    return {
+      percent: clamp((sample[end] / length) * 100, 0, 100),
+      time: gap > TELEMETRY_MODEL.maxGap ? 0 : gap,
+    };
+  });
+  const time = points.reduce((sum, point) => sum + point.time, 0);
+  const share = (seconds) => (time > 0 ? (seconds / time) * 100 : 0);
+
+  let bottomOuts = 0;
+  let armed = true;
+  points.forEach((point) => {
+    if (armed && point.percent >= TELEMETRY_MODEL.bottomOutThreshold) {
+      bottomOuts += 1;
+      armed = false;
+    } else if (point.percent < TELEMETRY_MODEL.bottomOutReset) {
+      armed = true;
+    }
+  });
+
+  const zones = TRAVEL_ZONES.map((zone, i) => {
+    const from = i === 0 ? 0 : TRAVEL_ZONES[i - 1].max;
+    const last = i === TRAVEL_ZONES.length - 1;
+    const seconds = points
+      .filter((point) => point.percent >= from && (point.percent < zone.max || (last && point.percent <= zone.max)))
+      .reduce((sum, point) => sum + point.time, 0);
+    return { id: zone.id, name: zone.name, from, to: zone.max, time: seconds, share: share(seconds) };
+  });
+
+  const width = TELEMETRY_MODEL.histogramBinWidth;
+  const bins = Math.ceil(100 / width);
+  const histogram = Array.from({ length: bins }, (item, i) => ({ from: i * width, to: Math.min((i + 1) * width, 100), time: 0 }));
+  points.forEach((point) => {
+    histogram[Math.min(Math.floor(point.percent / width), bins - 1)].time += point.time;
+  });
+  histogram.forEach((bin) => {
+    bin.share = share(bin.time);
+  });
+
+  const loaded = points.filter((point) => point.percent > TELEMETRY_MODEL.idleThreshold);
+  return {
+    samples: readings.length,
+    time,
+    dynamicSag: calculateWeightedMedian(loaded),
+    average: time > 0 ? points.reduce((sum, point) => sum + point.percent * point.time, 0) / time : null,
+    max: points.reduce((max, point) => Math.max(max, point.percent), 0),
+    bottomOuts,
+    zones,
+    histogram,
+  };
+}
+
+// ============================================================================
+// COMPARISON WITH THE SETUP
+// ============================================================================
+
+/**
+ * Compare the logged travel of one end with its computed setup
+ * Shock positions are shaft stroke, so the shock's sag is compared on the
+ * stroke through the leverage values of the setup
+ * @param {object} endSetup - Fork or shock setup from computeSetup
+ * @param {string} end - 'fork' or 'shock'
+ * @param {Array<object>} samples - Parsed samples (see parseTelemetry)
+ * @param {string} [profileName] - Riding profile name for the findings
+ * @returns {object} Travel statistics with units, static and target sag and findings
+ */
+function analyzeEndTelemetry(endSetup, end, samples, profileName) {
+  const leverage = end === 'shock' ? endSetup.leverage : null;
+  const length = leverage ? leverage.stroke.value : endSetup.travel.value;
+  const measure = leverage ? 'stroke' : 'travel';
+  const stats = calculateTravelStatistics(samples, end, length);
+
+  const target = leverage ? (leverage.shockSag.value / leverage.stroke.value) * 100 : endSetup.sag.value;
+  const check = endSetup.sagCheck;
+  const measured = check ? (leverage ? check.actual.strokePercent.value : check.actual.wheelPercent.value) : null;
+  const staticSag = measured === null ? target : measured;
+
+  const name = end === 'fork' ? 'Fork' : 'Shock';
+  const percent = (value) => `${value.toFixed(0)}%`;
+  const findings = [];
+  if (stats.dynamicSag === null) {
+    findings.push(`The ${end} was never loaded in this log`);
+  } else {
+    const difference = stats.dynamicSag - staticSag;
+    const reference = `${percent(staticSag)} ${measured === null ? 'target' : 'measured'} static sag`;
+    if (difference > TELEMETRY_TARGETS.sagAbove) {
+      findings.push(`${name} rides at ${percent(stats.dynamicSag)} dynamic sag, ${percent(difference)} deeper than its `
+        + `${reference}; more low-speed compression or a firmer spring will hold it up`);
+    } else if (difference < -TELEMETRY_TARGETS.sagBelow) {
+      findings.push(`${name} rides at ${percent(stats.dynamicSag)} dynamic sag, above its ${reference}; `
+        + 'the spring or low-speed compression may be too firm for this terrain');
+    } else {
+      findings.push(`${name} dynamic sag of ${percent(stats.dynamicSag)} is in line with its ${reference}`);
+    }
+  }
+  if (measured !== null && Math.abs(measured - target) > 2) {
+    findings.push(`${name} static sag of ${percent(measured)} is off the ${percent(target)} target`
+      + `${profileName ? ` for ${profileName}` : ''}`);
+  }
+  if (stats.max < TELEMETRY_TARGETS.minTravelUsed) {
+    findings.push(`Only ${percent(stats.max)} of the ${end} ${measure} was used; if the trail had big hits, `
+      + 'fewer volume spacers or a softer spring would free up the rest');
+  }
+  if (stats.bottomOuts > TELEMETRY_TARGETS.maxBottomOuts) {
+    findings.push(`${name} bottomed out ${stats.bottomOuts} times; add a volume spacer or high-speed compression`);
+  }
+
+  const quantity = (value, unit) => ({ value: value === null ? null : roundTo(value, 1), unit });
+  return {
+    measuredOn: measure,
+    length: { value: length, unit: 'mm' },
+    samples: stats.samples,
+    time: quantity(stats.time, 's'),
+    dynamicSag: quantity(stats.dynamicSag, '%'),
+    averageTravel: quantity(stats.average, '%'),
+    maxTravel: quantity(stats.max, '%'),
+    bottomOuts: stats.bottomOuts,
+    staticSag: quantity(staticSag, '%'),
+    staticSource: measured === null ? 'target' : 'measured',
+    targetSag: quantity(target, '%'),
+    zones: stats.zones.map((zone) => Object.assign({}, zone, {
+      time: quantity(zone.time, 's'),
+      share: quantity(zone.share, '%'),
+    })),
+    histogram: stats.histogram.map((bin) => ({
+      from: bin.from,
+      to: bin.to,
+      time: quantity(bin.time, 's'),
+      share: quantity(bin.share, '%'),
+    })),
+    findings,
+  };
+}
+
+/**
+ * Analyze a telemetry log against a computed setup
+ * @param {object} telemetry - Parsed log (see parseTelemetry)
+ * @param {object} setup - Result of computeSetup
+ * @returns {object} { duration (s), sampleRate (Hz), fork, shock (see analyzeEndTelemetry, or null
+ *   without data or suspension), notes }
+ */
+function analyzeTelemetry(telemetry, setup) {
+  const notes = [];
+  const result = {
+    duration: { value: roundTo(telemetry.duration, 1), unit: 's' },
+    sampleRate: {
+      value: telemetry.duration > 0 ? roundTo((telemetry.samples.length - 1) / telemetry.duration, 1) : null,
+      unit: 'Hz',
+    },
+    fork: null,
+    shock: null,
+    notes,
+  };
+  ['fork', 'shock'].forEach((end) => {
+    if (!telemetry.ends.includes(end)) {
+      return;
+    }
+    if (!setup[end]) {
+      notes.push(`The log has ${end} positions but this bike has no rear suspension; they are ignored`);
+      return;
+    }
+    result[end] = analyzeEndTelemetry(setup[end], end, telemetry.samples, setup.profile && setup.profile.name);
+  });
+  return result;
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TELEMETRY_MODEL,
+    TELEMETRY_TARGETS,
+    TRAVEL_ZONES,
+    parseTelemetryCsv,
+    parseTelemetryJson,
+    parseTelemetry,
+    calculateTravelStatistics,
+    analyzeTelemetry,
+  };
+}
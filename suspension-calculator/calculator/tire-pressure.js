@@ -0,0 +1,198 @@
+/**
+ * Tire Pressure Module
+ * Front and rear tire pressures from the load on each wheel: the tire is
+ * the first spring in the system, sized here by the contact patch it needs
+ * to carry the load at a target tire drop
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { calculateWeightForce } = require('./suspension-math.js');
+  var { paToPsi, formatQuantity } = require('./utils.js');
+}
+
+// Tire geometry; widths are measured on a rim of referenceRimRatio × tire width
+const TIRE_MODEL = {
+  referenceRimRatio: 0.45,
+  rimWidthEffect: 0.4, // mm of tire width per mm of rim width away from the reference rim
+  aspectRatio: 0.9, // section height / nominal width
+  beadSeatDiameter: 622, // mm (29" and 700c)
+  minRimRatio: 0.25, // rim internal width / tire width the tire can be mounted on
+  maxRimRatio: 0.75,
+};
+
+// Braking and cornering load the tires beyond their static share, the front more so
+const TIRE_LOAD_FACTORS = {
+  front: 1.4, // × static load
+  rear: 1.15,
+};
+
+// Casing stiffness: light casings need more air to hold their shape
+const TIRE_CASINGS = {
+  light: { name: 'Light (XC)', factor: 1.08 },
+  standard: { name: 'Standard (trail)', factor: 1 },
+  reinforced: { name: 'Reinforced (enduro)', factor: 0.94 },
+  downhill: { name: 'Downhill (dual ply)', factor: 0.88 },
+};
+
+// Target tire drop (deflection / section height) and the pressure below which
+// the tire squirms, burps or pinch-flats
+const TIRE_SETUPS = {
+  tube: { name: 'Inner tube', drop: 0.1, minPressure: 18 }, // psi
+  tubeless: { name: 'Tubeless', drop: 0.12, minPressure: 15 },
+  insert: { name: 'Tubeless with insert', drop: 0.14, minPressure: 12 },
+};
+
+// Pressure bias by riding profile: efficiency and jumps want firmer tires,
+// comfort softer
+const TIRE_PROFILE_FACTORS = {
+  xc: 1.1,
+  trail: 1,
+  enduro: 1.05,
+  downhill: 1.1,
+  casual: 0.92,
+  park: 1.15,
+};
+
+// ============================================================================
+// LOOKUP FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the tire casings
+ * @returns {Array<{id: string, name: string}>} Casings from lightest to strongest
+ */
+function getAvailableTireCasings() {
+  return Object.keys(TIRE_CASINGS).map((id) => ({ id, name: TIRE_CASINGS[id].name }));
+}
+
+/**
+ * Get the tire setups (tube, tubeless, insert)
+ * @returns {Array<{id: string, name: string}>} Tire setups
+ */
+function getAvailableTireSetups() {
+  return Object.keys(TIRE_SETUPS).map((id) => ({ id, name: TIRE_SETUPS[id].name }));
+}
+
+// ============================================================================
+// TIRE GEOMETRY
+// ============================================================================
+
+/**
+ * Calculate the width a tire takes on a given rim
+ * Formula: w_eff = w + k * (rim - 0.45 * w)
+ * @param {number} width - Nominal tire width in mm
+ * @param {number} rimWidth - Rim internal width in mm
+ * @returns {number} Effective tire width in mm
+ */
+function calculateEffectiveTireWidth(width, rimWidth) {
+  if (!(width > 0) || !(rimWidth > 0)) {
+    throw new Error('Tire and rim widths must be positive values');
+  }
+  if (rimWidth < width * TIRE_MODEL.minRimRatio || rimWidth > width * TIRE_MODEL.maxRimRatio) {
+    throw new Error(`A ${rimWidth} mm rim does not suit a ${width} mm tire`);
+  }
+  return width + TIRE_MODEL.rimWidthEffect * (rimWidth - width * TIRE_MODEL.referenceRimRatio);
+}
+
+/**
+ * Calculate the contact patch area of a tire at a given drop
+ * The patch is an ellipse whose length and width are the chords cut from the
+ * wheel circle and the tire section by the deflection
+ * Formula: A = π/4 * 2√(D·δ - δ²) * 2√(w·δ - δ²)
+ * @param {number} width - Nominal tire width in mm
+ * @param {number} rimWidth - Rim internal width in mm
+ * @param {number} drop - Tire drop as a share of the section height (0-1)
+ * @param {number} [beadSeatDiameter] - Rim bead seat diameter in mm
+ * @returns {number} Contact patch area in mm²
+ */
+function calculateContactPatchArea(width, rimWidth, drop, beadSeatDiameter = TIRE_MODEL.beadSeatDiameter) {
+  if (!(drop > 0) || drop >= 0.5) {
+    throw new Error('Tire drop must be between 0 and 50% of the section height');
+  }
+  const effectiveWidth = calculateEffectiveTireWidth(width, rimWidth);
+  const height = width * TIRE_MODEL.aspectRatio;
+  const deflection = height * drop;
+  const diameter = beadSeatDiameter + 2 * height;
+  const length = 2 * Math.sqrt(diameter * deflection - deflection * deflection);
+  const patchWidth = 2 * Math.sqrt(effectiveWidth * deflection - deflection * deflection);
+  return (Math.PI / 4) * length * patchWidth;
+}
+
+// ============================================================================
+// PRESSURE RECOMMENDATION
+// ============================================================================
+
+/**
+ * Calculate the tire pressure that carries a load at the target drop
+ * Formula: P = F / A (the air carries the load over the contact patch)
+ * @param {number} load - Tire load in N
+ * @param {object} tire - { width (mm), rimWidth (mm), casing, setup } (see TIRE_CASINGS, TIRE_SETUPS)
+ * @param {number} [factor=1] - Pressure bias (e.g., from the riding profile)
+ * @returns {number} Tire pressure in psi
+ */
+function calculateTirePressure(load, tire, factor = 1) {
+  const casing = TIRE_CASINGS[tire.casing];
+  const setup = TIRE_SETUPS[tire.setup];
+  if (!casing) {
+    throw new Error(`Unknown tire casing: ${tire.casing}`);
+  }
+  if (!setup) {
+    throw new Error(`Unknown tire setup: ${tire.setup}`);
+  }
+  if (!(load > 0)) {
+    throw new Error('Tire load must be a positive value');
+  }
+  const area = calculateContactPatchArea(tire.width, tire.rimWidth, setup.drop, tire.beadSeatDiameter);
+  return paToPsi((load / area) * 1e6) * casing.factor * factor;
+}
+
+/**
+ * Recommend front and rear tire pressures
+ * @param {object} params - Recommendation parameters
+ * @param {number} params.front - Mass on the front wheel in kg (see calculateMassModel)
+ * @param {number} params.rear - Mass on the rear wheel in kg
+ * @param {object} params.tire - { width (mm), rimWidth (mm), casing, setup, beadSeatDiameter (mm, optional) }
+ * @param {string} [params.profile] - Riding profile ID for the pressure bias
+ * @param {object} [params.units] - Display units for the warnings (see resolveUnits)
+ * @returns {object} { front, rear (psi), factor, casing, setup (names), warnings }
+ */
+function recommendTirePressures({ front, rear, tire, profile, units }) {
+  const factor = TIRE_PROFILE_FACTORS[profile] || 1;
+  const setup = TIRE_SETUPS[tire.setup];
+  const pressure = (mass, loadFactor) => calculateTirePressure(calculateWeightForce(mass) * loadFactor, tire, factor);
+  const result = {
+    front: pressure(front, TIRE_LOAD_FACTORS.front),
+    rear: pressure(rear, TIRE_LOAD_FACTORS.rear),
+    factor,
+    casing: TIRE_CASINGS[tire.casing].name,
+    setup: setup.name,
+    warnings: [],
+  };
+
+  ['front', 'rear'].forEach((end) => {
+    if (result[end] < setup.minPressure) {
+      const minPressure = formatQuantity({ value: setup.minPressure, unit: 'psi' }, units);
+      const remedy = tire.setup === 'insert' ? 'a stronger casing' : 'a stronger casing or an insert';
+      result.warnings.push(`The ${end} tire is below ${minPressure}, where it can squirm or hit the rim; consider ${remedy}`);
+    }
+  });
+  return result;
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TIRE_MODEL,
+    TIRE_CASINGS,
+    TIRE_SETUPS,
+    TIRE_PROFILE_FACTORS,
+    getAvailableTireCasings,
+    getAvailableTireSetups,
+    calculateEffectiveTireWidth,
+    calculateContactPatchArea,
+    calculateTirePressure,
+    recommendTirePressures,
+  };
+}
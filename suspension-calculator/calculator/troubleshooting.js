@@ -0,0 +1,405 @@
+/**
+ * Troubleshooting Module
+ * Symptom-driven setup changes: each symptom the rider reports votes for
+ * adjustments on one or both ends, and the votes are ranked and turned into
+ * concrete deltas (clicks, pressure, tokens) on top of a computed setup
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { clamp, formatQuantity } = require('./utils.js');
+}
+
+// Size of one suggested change
+const TROUBLESHOOTING_STEPS = {
+  clicks: 2, // damper clicks
+  damping: 10, // % of the damping range, when no damper was chosen
+  pressure: 0.05, // share of the air pressure
+  tokens: 1,
+};
+
+// Adjusters a symptom can ask for; direction +1 is firmer, slower or more
+const TROUBLESHOOTING_ADJUSTERS = {
+  lsc: 'low-speed compression',
+  hsc: 'high-speed compression',
+  rebound: 'rebound',
+  pressure: 'spring',
+  tokens: 'volume spacers',
+};
+
+// Symptoms with the changes that address them; weight ranks the changes
+// (3 = try first)
+const SYMPTOMS = {
+  forkDive: {
+    name: 'Fork dives under braking',
+    ends: ['fork'],
+    changes: [
+      { adjuster: 'lsc', direction: 1, weight: 3, reason: 'Low-speed compression controls the slow weight shift onto the fork under braking' },
+      { adjuster: 'pressure', direction: 1, weight: 2, reason: 'A firmer spring holds the fork higher in its travel' },
+      { adjuster: 'tokens', direction: 1, weight: 1, reason: 'A volume spacer adds mid and end-stroke support without changing sag' },
+    ],
+  },
+  rearKick: {
+    name: 'Rear kicks on square edges',
+    ends: ['shock'],
+    changes: [
+      { adjuster: 'rebound', direction: 1, weight: 3, reason: 'Slower rebound stops the shock firing back after the hit' },
+      { adjuster: 'hsc', direction: -1, weight: 2, reason: 'Softer high-speed compression lets the wheel move up and out of the way of a sharp edge' },
+      { adjuster: 'pressure', direction: -1, weight: 1, reason: 'A softer spring stores less energy to return' },
+    ],
+  },
+  harshChatter: {
+    name: 'Harsh on chatter',
+    ends: ['fork', 'shock'],
+    changes: [
+      { adjuster: 'hsc', direction: -1, weight: 3, reason: 'Small, fast impacts are damped by the high-speed circuit' },
+      { adjuster: 'rebound', direction: -1, weight: 2, reason: 'Faster rebound keeps the suspension from packing down into firmer travel' },
+      { adjuster: 'lsc', direction: -1, weight: 1, reason: 'Less low-speed compression frees up the first part of the travel' },
+      { adjuster: 'pressure', direction: -1, weight: 1, reason: 'A softer spring lets small bumps move the wheel' },
+    ],
+  },
+  bottomsOut: {
+    name: 'Bottoms out on drops',
+    ends: ['fork', 'shock'],
+    changes: [
+      { adjuster: 'tokens', direction: 1, weight: 3, reason: 'A volume spacer raises the end-stroke ramp-up where bottom-outs happen, without changing sag' },
+      { adjuster: 'hsc', direction: 1, weight: 2, reason: 'Firmer high-speed compression slows big, fast hits' },
+      { adjuster: 'pressure', direction: 1, weight: 1, reason: 'A firmer spring supports the whole stroke but reduces sag' },
+    ],
+  },
+  packsDown: {
+    name: 'Packs down on repeated hits',
+    ends: ['fork', 'shock'],
+    changes: [
+      { adjuster: 'rebound', direction: -1, weight: 3, reason: 'The suspension has to return before the next hit arrives' },
+      { adjuster: 'hsc', direction: -1, weight: 1, reason: 'Less high-speed compression keeps each hit from using as much travel' },
+    ],
+  },
+  unusedTravel: {
+    name: 'Never uses full travel',
+    ends: ['fork', 'shock'],
+    changes: [
+      { adjuster: 'tokens', direction: -1, weight: 3, reason: 'Fewer volume spacers soften the end-stroke ramp-up' },
+      { adjuster: 'pressure', direction: -1, weight: 2, reason: 'A softer spring lets big hits reach the end of the travel' },
+      { adjuster: 'hsc', direction: -1, weight: 1, reason: 'Less high-speed compression lets big hits go deeper' },
+    ],
+  },
+  wallows: {
+    name: 'Wallows in berms and compressions',
+    ends: ['fork', 'shock'],
+    changes: [
+      { adjuster: 'lsc', direction: 1, weight: 3, reason: 'Low-speed compression supports slow, sustained loads such as berms' },
+      { adjuster: 'pressure', direction: 1, weight: 2, reason: 'A firmer spring rides higher in the travel' },
+      { adjuster: 'tokens', direction: 1, weight: 1, reason: 'A volume spacer adds mid-stroke support' },
+    ],
+  },
+  bucks: {
+    name: 'Bucks off jumps and lips',
+    ends: ['fork', 'shock'],
+    changes: [
+      { adjuster: 'rebound', direction: 1, weight: 3, reason: 'Slower rebound stops the suspension pushing the bike up as it leaves the lip' },
+      { adjuster: 'lsc', direction: 1, weight: 1, reason: 'More low-speed compression keeps the suspension from loading up on the take-off' },
+    ],
+  },
+  pedalBob: {
+    name: 'Bobs when pedalling',
+    ends: ['shock'],
+    changes: [
+      { adjuster: 'lsc', direction: 1, weight: 3, reason: 'Low-speed compression resists the slow, rhythmic pedalling load' },
+      { adjuster: 'pressure', direction: 1, weight: 1, reason: 'A firmer spring sits higher, where most frames have more anti-squat' },
+    ],
+  },
+};
+
+// ============================================================================
+// LOOKUP FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the symptoms a rider can report
+ * @returns {Array<{id: string, name: string, ends: string[]}>} Symptoms
+ */
+function getAvailableSymptoms() {
+  return Object.keys(SYMPTOMS).map((id) => ({ id, name: SYMPTOMS[id].name, ends: SYMPTOMS[id].ends.slice() }));
+}
+
+// ============================================================================
+// CHANGES
+// ============================================================================
+
+/**
+ * Get the current value and step size of one adjuster of an end
+ * Damping is counted in clicks from closed when a damper was chosen and in %
+ * of the damping range otherwise; the spring is only stepped here as air
+ * pressure, since coil springs move between sizes (see resolveChange)
+ * @param {object} endSetup - Fork or shock setup from computeSetup
+ * @param {string} adjuster - Adjuster ID (see TROUBLESHOOTING_ADJUSTERS)
+ * @returns {object|null} { name, value, unit, step, min, max (null when open-ended),
+ *   firmer (+1, or -1 when a lower value is firmer) }, or null if the end has no such adjuster
+ */
+function getAdjusterSetting(endSetup, adjuster) {
+  if (adjuster === 'tokens') {
+    const spacers = endSetup.volumeSpacers;
+    return spacers ? {
+      name: TROUBLESHOOTING_ADJUSTERS.tokens,
+      value: spacers.tokens,
+      unit: 'tokens',
+      step: TROUBLESHOOTING_STEPS.tokens,
+      min: 0,
+      max: spacers.options.length - 1,
+      firmer: 1,
+    } : null;
+  }
+
+  if (adjuster === 'pressure') {
+    const pressure = endSetup.airPressure;
+    return pressure ? {
+      name: 'air pressure',
+      value: pressure.value,
+      unit: 'psi',
+      step: Math.max(1, Math.round(pressure.value * TROUBLESHOOTING_STEPS.pressure)),
+      min: 1,
+      max: null,
+      firmer: 1,
+    } : null;
+  }
+
+  const name = TROUBLESHOOTING_ADJUSTERS[adjuster];
+  if (endSetup.clicks) {
+    const clicks = endSetup.clicks.adjusters[adjuster === 'rebound' ? 'lsr' : adjuster];
+    // Clicks count from closed, so more damping is fewer clicks
+    return clicks ? {
+      name,
+      value: clicks.clicks,
+      unit: 'clicks',
+      step: TROUBLESHOOTING_STEPS.clicks,
+      min: 0,
+      max: clicks.totalClicks,
+      firmer: -1,
+    } : null;
+  }
+  const setting = {
+    lsc: endSetup.compression.lowSpeed,
+    hsc: endSetup.compression.highSpeed,
+    rebound: endSetup.rebound.setting,
+  }[adjuster];
+  return { name, value: setting.value, unit: '%', step: TROUBLESHOOTING_STEPS.damping, min: 0, max: 100, firmer: 1 };
+}
+
+/**
+ * Move an adjuster value one step, stopping at the ends of its range
+ * @param {object} setting - Adjuster setting (see getAdjusterSetting)
+ * @param {number} value - Value to step from
+ * @param {number} direction - +1 firmer, slower or more; -1 the other way
+ * @returns {number} Stepped value; equal to value when the adjuster can't go further
+ */
+function stepAdjusterValue(setting, value, direction) {
+  const target = value + direction * setting.firmer * setting.step;
+  return setting.max === null ? Math.max(target, setting.min) : clamp(target, setting.min, setting.max);
+}
+
+/**
+ * Turn one adjustment of one end into a concrete delta on the computed setup
+ * Damping moves in clicks when a damper was chosen and in % of the damping
+ * range otherwise; the spring moves in psi for air and to the next coil size
+ * @param {object} endSetup - Fork or shock setup from computeSetup
+ * @param {string} adjuster - Adjuster ID (see TROUBLESHOOTING_ADJUSTERS)
+ * @param {number} direction - +1 firmer, slower or more; -1 the other way
+ * @param {object} [units] - Display units (see resolveUnits)
+ * @returns {object} { delta, from, to, description } or { limit } when the adjuster
+ *   can't go further, or null if the end has no such adjuster
+ */
+function resolveChange(endSetup, adjuster, direction, units) {
+  if (adjuster === 'pressure' && !endSetup.airPressure) {
+    if (!endSetup.coilSpring) {
+      return null;
+    }
+    const current = endSetup.coilSpring.recommended;
+    const next = direction > 0 ? endSetup.coilSpring.stiffer : endSetup.coilSpring.softer;
+    if (!next) {
+      return { limit: `no ${direction > 0 ? 'stiffer' : 'softer'} spring is available` };
+    }
+    return {
+      delta: { value: next.rate.value - current.rate.value, unit: 'lbs/in' },
+      from: current.rate,
+      to: next.rate,
+      description: `${direction > 0 ? 'stiffer' : 'softer'} spring (${current.rate.value} → ${next.rate.value} lbs/in)`,
+    };
+  }
+
+  const setting = getAdjusterSetting(endSetup, adjuster);
+  if (!setting) {
+    return endSetup.clicks && adjuster !== 'tokens' && adjuster !== 'pressure'
+      ? { limit: `${endSetup.clicks.name} has no ${TROUBLESHOOTING_ADJUSTERS[adjuster]} adjuster` }
+      : null;
+  }
+  const from = setting.value;
+  const to = stepAdjusterValue(setting, from, direction);
+  const delta = { value: to - from, unit: setting.unit };
+
+  if (setting.unit === 'tokens') {
+    if (to === from) {
+      return { limit: direction > 0 ? 'the chamber takes no more spacers' : 'no spacers are fitted' };
+    }
+    return {
+      delta,
+      from: { value: from, unit: 'tokens' },
+      to: { value: to, unit: 'tokens' },
+      description: `${to > from ? 'add' : 'remove'} ${Math.abs(to - from)} (${from} → ${to})`,
+    };
+  }
+
+  if (setting.unit === 'psi') {
+    const target = { value: to, unit: 'psi' };
+    return {
+      delta,
+      from: endSetup.airPressure,
+      to: target,
+      description: `${direction > 0 ? '+' : '−'}${formatQuantity({ value: Math.abs(delta.value), unit: 'psi' }, units)} `
+        + `(${formatQuantity(endSetup.airPressure, units)} → ${formatQuantity(target, units)})`,
+    };
+  }
+
+  const words = adjuster === 'rebound' ? ['slower', 'faster'] : ['firmer', 'softer'];
+  const word = direction > 0 ? words[0] : words[1];
+  if (setting.unit === 'clicks') {
+    if (to === from) {
+      return { limit: `already ${direction > 0 ? 'fully closed' : 'fully open'}` };
+    }
+    const count = Math.abs(to - from);
+    return {
+      delta,
+      from: { value: from, unit: 'clicks' },
+      to: { value: to, unit: 'clicks' },
+      description: `${count} click${count === 1 ? '' : 's'} ${word} (${from} → ${to} from closed)`,
+    };
+  }
+
+  if (to === from) {
+    return { limit: `already ${direction > 0 ? 'at 100%' : 'at 0%'}` };
+  }
+  return {
+    delta,
+    from: { value: from, unit: '%' },
+    to: { value: to, unit: '%' },
+    description: `${word}, ${to > from ? '+' : '−'}${Math.abs(to - from)}% (${from}% → ${to}%)`,
+  };
+}
+
+/**
+ * Weigh a spring change against the measured sag
+ * @param {object} endSetup - Fork or shock setup from computeSetup
+ * @param {number} direction - Spring direction (+1 firmer)
+ * @returns {{weight: number, reason: string}|null} Extra weight and why, or null without a sag check
+ */
+function weighSagCheck(endSetup, direction) {
+  const check = endSetup.sagCheck;
+  if (!check || check.status === 'on-target') {
+    return null;
+  }
+  const agrees = (check.status === 'too-much-sag') === (direction > 0);
+  return agrees
+    ? { weight: 1, reason: `Your measured sag is ${check.status === 'too-much-sag' ? 'above' : 'below'} target` }
+    : { weight: -1, reason: `Your measured sag is already ${check.status === 'too-much-sag' ? 'above' : 'below'} target` };
+}
+
+// ============================================================================
+// DIAGNOSIS
+// ============================================================================
+
+/**
+ * Rank the setup changes for the symptoms a rider reports
+ * Each symptom votes for its changes on the ends it affects; opposite votes on
+ * the same adjuster cancel out and are reported as conflicts
+ * @param {object} setup - Result of computeSetup
+ * @param {string[]} symptomIds - Reported symptom IDs (see SYMPTOMS)
+ * @param {object} [options] - { units (see resolveUnits) }
+ * @returns {object} { symptoms, changes: [{ end, adjuster, name, direction, score, delta, from, to,
+ *   description, symptoms, reasons }], conflicts: [{ end, adjuster, name, symptoms }], notes }
+ */
+function diagnoseSetup(setup, symptomIds, options = {}) {
+  if (!Array.isArray(symptomIds) || symptomIds.length === 0) {
+    throw new Error('Choose at least one symptom');
+  }
+  const unknown = symptomIds.filter((id) => !SYMPTOMS[id]);
+  if (unknown.length) {
+    throw new Error(`Unknown symptom: ${unknown.join(', ')}`);
+  }
+
+  const votes = {};
+  const notes = [];
+  symptomIds.forEach((id) => {
+    const symptom = SYMPTOMS[id];
+    symptom.ends.forEach((end) => {
+      if (!setup[end]) {
+        notes.push(`${symptom.name}: this bike has no rear suspension`);
+        return;
+      }
+      symptom.changes.forEach((change) => {
+        const key = `${end}.${change.adjuster}`;
+        const vote = votes[key] || (votes[key] = { end, adjuster: change.adjuster, score: 0, entries: [] });
+        vote.score += change.direction * change.weight;
+        vote.entries.push({ symptom: symptom.name, direction: change.direction, reason: change.reason });
+      });
+    });
+  });
+
+  const changes = [];
+  const conflicts = [];
+  Object.keys(votes).forEach((key) => {
+    const vote = votes[key];
+    const name = `${vote.end === 'fork' ? 'Fork' : 'Shock'} ${TROUBLESHOOTING_ADJUSTERS[vote.adjuster]}`;
+    const symptoms = vote.entries.map((entry) => entry.symptom)
+      .filter((symptom, i, all) => all.indexOf(symptom) === i);
+    if (vote.score === 0) {
+      conflicts.push({ end: vote.end, adjuster: vote.adjuster, name, symptoms });
+      return;
+    }
+
+    const direction = Math.sign(vote.score);
+    const endSetup = setup[vote.end];
+    const resolved = resolveChange(endSetup, vote.adjuster, direction, options.units);
+    if (!resolved) {
+      return;
+    }
+    if (resolved.limit) {
+      notes.push(`${name}: ${resolved.limit}`);
+      return;
+    }
+
+    let score = Math.abs(vote.score);
+    const reasons = vote.entries.filter((entry) => entry.direction === direction).map((entry) => entry.reason);
+    if (vote.adjuster === 'pressure') {
+      const sag = weighSagCheck(endSetup, direction);
+      if (sag) {
+        score = Math.max(score + sag.weight, 0.5);
+        reasons.push(sag.reason);
+      }
+    }
+    changes.push(Object.assign({ end: vote.end, adjuster: vote.adjuster, name, direction, score }, resolved, {
+      symptoms,
+      reasons,
+    }));
+  });
+
+  changes.sort((a, b) => b.score - a.score);
+  return {
+    symptoms: symptomIds.map((id) => ({ id, name: SYMPTOMS[id].name })),
+    changes,
+    conflicts,
+    notes: notes.filter((note, i, all) => all.indexOf(note) === i),
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYMPTOMS,
+    TROUBLESHOOTING_STEPS,
+    getAvailableSymptoms,
+    getAdjusterSetting,
+    stepAdjusterValue,
+    diagnoseSetup,
+  };
+}
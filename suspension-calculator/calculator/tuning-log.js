@@ -0,0 +1,481 @@
+/**
+ * Tuning Log Module
+ * Ride-by-ride feedback on a saved setup: each run records the one setting
+ * changed since the last run, where and in what conditions it was ridden and
+ * how it felt; the log suggests the next single change and shows which
+ * settings went with the best ratings
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var { deepClone, isValidNumber, roundTo, formatQuantity } = require('./utils.js');
+  var { getAdjusterSetting, stepAdjusterValue } = require('./troubleshooting.js');
+}
+
+// Feel criteria a run is rated on, 1 (poor) to 5 (great)
+const TUNING_CRITERIA = {
+  traction: 'Traction',
+  support: 'Support',
+  comfort: 'Comfort',
+  control: 'Control',
+};
+
+const TUNING_RATING = { min: 1, max: 5 };
+
+// Size of one suggested tire change; the suspension steps are the
+// troubleshooting ones (see getAdjusterSetting)
+const TUNING_STEPS = {
+  tirePressure: 1, // psi
+};
+
+// Change in the average rating (points) that counts as better or worse
+const TUNING_RATING_THRESHOLD = 0.25;
+
+// Runs needed before a correlation means anything; two runs always correlate
+// perfectly
+const TUNING_MIN_RUNS = 3;
+
+// Adjustable settings of each end with the troubleshooting adjuster behind
+// each; tires are tuned front and rear
+const TUNING_ADJUSTERS = {
+  airPressure: 'pressure',
+  volumeSpacers: 'tokens',
+  lsc: 'lsc',
+  hsc: 'hsc',
+  rebound: 'rebound',
+};
+
+// Changes to try when a criterion rates lowest, in order; direction +1 is
+// firmer, slower or more
+const TUNING_REMEDIES = {
+  traction: [
+    { setting: 'tirePressure', direction: -1, reason: 'A softer tire lets the tread conform to the ground' },
+    { setting: 'rebound', direction: 1, reason: 'Slower rebound keeps the wheel from skipping off the ground' },
+    { setting: 'lsc', direction: -1, reason: 'Less low-speed compression lets the wheel follow the terrain' },
+  ],
+  support: [
+    { setting: 'lsc', direction: 1, reason: 'Low-speed compression holds the bike up under slow, sustained loads' },
+    { setting: 'airPressure', direction: 1, reason: 'A firmer spring rides higher in the travel' },
+    { setting: 'volumeSpacers', direction: 1, reason: 'A volume spacer adds mid and end-stroke support without changing sag' },
+  ],
+  comfort: [
+    { setting: 'hsc', direction: -1, reason: 'Less high-speed compression takes the edge off sharp hits' },
+    { setting: 'airPressure', direction: -1, reason: 'A softer spring lets small bumps move the wheel' },
+    { setting: 'rebound', direction: -1, reason: 'Faster rebound keeps the suspension from packing down' },
+  ],
+  control: [
+    { setting: 'rebound', direction: 1, reason: 'Slower rebound calms the bike after big hits' },
+    { setting: 'hsc', direction: 1, reason: 'Firmer high-speed compression stops the bike diving into hard landings' },
+    { setting: 'volumeSpacers', direction: 1, reason: 'A volume spacer keeps more travel in reserve' },
+  ],
+};
+
+// ============================================================================
+// LOOKUP FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the criteria a run is rated on
+ * @returns {Array<{id: string, name: string}>} Rating criteria
+ */
+function getTuningCriteria() {
+  return Object.keys(TUNING_CRITERIA).map((id) => ({ id, name: TUNING_CRITERIA[id] }));
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Collect the trail-side adjustable settings of a computed setup
+ * The suspension settings step like the troubleshooting adjusters (see
+ * getAdjusterSetting); firmer is the direction of a firmer setting
+ * @param {object} setup - Result of computeSetup
+ * @returns {object} Settings keyed by path (e.g., 'fork.rebound'):
+ *   { name, value, unit, step, min, max (null when open-ended), firmer }
+ */
+function extractTuningSettings(setup) {
+  const settings = {};
+  const add = (path, name, value, unit, step, min, max, firmer = 1) => {
+    settings[path] = { name, value, unit, step, min, max, firmer };
+  };
+
+  ['fork', 'shock'].forEach((end) => {
+    const endSetup = setup[end];
+    if (!endSetup) {
+      return;
+    }
+    Object.keys(TUNING_ADJUSTERS).forEach((key) => {
+      const setting = getAdjusterSetting(endSetup, TUNING_ADJUSTERS[key]);
+      if (setting) {
+        const value = setting.unit === 'psi' ? roundTo(setting.value, 1) : setting.value;
+        add(`${end}.${key}`, `${end === 'fork' ? 'Fork' : 'Shock'} ${setting.name}`, value, setting.unit,
+          setting.step, setting.min, setting.max, setting.firmer);
+      }
+    });
+  });
+
+  if (setup.tires) {
+    ['front', 'rear'].forEach((end) => {
+      add(`tires.${end}`, `${end === 'front' ? 'Front' : 'Rear'} tire pressure`,
+        roundTo(setup.tires[end].pressure.value, 1), 'psi', TUNING_STEPS.tirePressure, 1, null);
+    });
+  }
+  return settings;
+}
+
+/**
+ * Describe a setting value in display units
+ * @param {object} setting - Setting from extractTuningSettings
+ * @param {number} value - Setting value
+ * @param {object} [units] - Display units (see resolveUnits)
+ * @returns {string} Formatted value
+ */
+function formatTuningValue(setting, value, units) {
+  if (setting.unit === 'psi') {
+    return formatQuantity({ value, unit: 'psi' }, units);
+  }
+  if (setting.unit === '%') {
+    return `${value}%`;
+  }
+  return setting.unit === 'clicks' ? `${value} clicks from closed` : `${value} tokens`;
+}
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+/**
+ * Start a tuning log on a computed setup
+ * @param {object} setup - Result of computeSetup; its settings are the baseline
+ * @returns {object} { createdAt, baseline (see extractTuningSettings), runs: [] }
+ */
+function createTuningLog(setup) {
+  return {
+    createdAt: new Date().toISOString(),
+    baseline: extractTuningSettings(setup),
+    runs: [],
+  };
+}
+
+/**
+ * Get the setting values the next run starts from
+ * @param {object} log - Tuning log
+ * @returns {object} Setting values keyed by path
+ */
+function getCurrentSettings(log) {
+  const last = log.runs[log.runs.length - 1];
+  if (last) {
+    return Object.assign({}, last.settings);
+  }
+  const settings = {};
+  Object.keys(log.baseline).forEach((path) => {
+    settings[path] = log.baseline[path].value;
+  });
+  return settings;
+}
+
+/**
+ * Average the ratings of a run
+ * @param {object} ratings - Ratings keyed by criterion ID
+ * @returns {number} Mean rating
+ */
+function scoreTuningRun(ratings) {
+  const values = Object.keys(TUNING_CRITERIA).filter((id) => ratings[id] !== undefined).map((id) => ratings[id]);
+  return roundTo(values.reduce((sum, value) => sum + value, 0) / values.length, 2);
+}
+
+/**
+ * Record a run in the log
+ * Only one setting may change per run, so each rating change can be put down
+ * to that one setting
+ * @param {object} log - Tuning log (modified in place)
+ * @param {object} run - { change: { path, value } or null for an unchanged setup, trail, conditions,
+ *   ratings (1-5 keyed by criterion ID), note, date }
+ * @returns {object} Recorded run ({ run, date, trail, conditions, change: { path, from, to }, settings,
+ *   ratings, score, note })
+ */
+function recordTuningRun(log, { change = null, trail = '', conditions = '', ratings = {}, note = '', date } = {}) {
+  const rated = Object.keys(ratings).filter((id) => ratings[id] !== undefined && ratings[id] !== null);
+  const unknown = rated.filter((id) => !TUNING_CRITERIA[id]);
+  if (unknown.length) {
+    throw new Error(`Unknown rating criterion: ${unknown.join(', ')}`);
+  }
+  if (!rated.length) {
+    throw new Error('Rate the ride on at least one criterion');
+  }
+  rated.forEach((id) => {
+    const rating = ratings[id];
+    if (!Number.isInteger(rating) || rating < TUNING_RATING.min || rating > TUNING_RATING.max) {
+      throw new Error(`${TUNING_CRITERIA[id]} must be rated from ${TUNING_RATING.min} to ${TUNING_RATING.max}`);
+    }
+  });
+
+  const settings = getCurrentSettings(log);
+  let recorded = null;
+  if (change) {
+    const setting = log.baseline[change.path];
+    if (!setting) {
+      throw new Error(`Unknown setting: ${change.path}`);
+    }
+    if (!isValidNumber(change.value) || change.value < setting.min
+      || (setting.max !== null && change.value > setting.max)) {
+      throw new Error(setting.max === null
+        ? `${setting.name} must be at least ${setting.min} ${setting.unit}`
+        : `${setting.name} must be between ${setting.min} and ${setting.max} ${setting.unit}`);
+    }
+    if (change.value === settings[change.path]) {
+      throw new Error(`${setting.name} is already ${change.value} ${setting.unit}`);
+    }
+    recorded = { path: change.path, from: settings[change.path], to: change.value };
+    settings[change.path] = change.value;
+  }
+
+  const clean = {};
+  rated.forEach((id) => {
+    clean[id] = ratings[id];
+  });
+  const run = {
+    run: log.runs.length + 1,
+    date: date || new Date().toISOString(),
+    trail: String(trail).trim(),
+    conditions: String(conditions).trim(),
+    change: recorded,
+    settings,
+    ratings: clean,
+    score: scoreTuningRun(clean),
+    note: String(note).trim(),
+  };
+  log.runs.push(run);
+  return run;
+}
+
+/**
+ * Work out which way a recorded change moved a setting
+ * @param {object} log - Tuning log
+ * @param {object} change - { path, from, to }
+ * @returns {number} +1 firmer, slower or more; -1 the other way
+ */
+function getChangeDirection(log, change) {
+  return Math.sign(change.to - change.from) * log.baseline[change.path].firmer;
+}
+
+// ============================================================================
+// SUGGESTIONS
+// ============================================================================
+
+/**
+ * Build a one-step change of a setting
+ * @param {object} log - Tuning log
+ * @param {string} path - Setting path
+ * @param {number} direction - +1 firmer, slower or more; -1 the other way
+ * @param {object} current - Current setting values
+ * @returns {object|null} { path, name, from, to } or null when the setting can't go further
+ */
+function stepSetting(log, path, direction, current) {
+  const setting = log.baseline[path];
+  const from = current[path];
+  const to = roundTo(stepAdjusterValue(setting, from, direction), 2);
+  return to === from ? null : { path, name: setting.name, from, to };
+}
+
+/**
+ * Suggest the next single change to try
+ * A change that raised the average rating is taken one step further, one that
+ * lowered it is put back, and otherwise the lowest-rated criterion picks the
+ * next setting, skipping changes that already made things worse
+ * @param {object} log - Tuning log
+ * @param {object} [options] - { units (see resolveUnits) }
+ * @returns {object} { action ('baseline', 'continue', 'revert', 'try' or 'keep'), change: { path, name,
+ *   from, to } or null, criterion, message }
+ */
+function suggestNextChange(log, options = {}) {
+  const runs = log.runs;
+  const describe = (change) => {
+    const setting = log.baseline[change.path];
+    return `${change.name}: ${formatTuningValue(setting, change.from, options.units)} → `
+      + `${formatTuningValue(setting, change.to, options.units)}`;
+  };
+  if (!runs.length) {
+    return { action: 'baseline', change: null, criterion: null, message: 'Ride the baseline setup and rate it first' };
+  }
+
+  const current = getCurrentSettings(log);
+  const last = runs[runs.length - 1];
+  const previous = runs[runs.length - 2];
+  if (last.change && previous) {
+    const difference = last.score - previous.score;
+    const name = log.baseline[last.change.path].name;
+    if (difference <= -TUNING_RATING_THRESHOLD) {
+      const change = { path: last.change.path, name, from: last.change.to, to: last.change.from };
+      return {
+        action: 'revert',
+        change,
+        criterion: null,
+        message: `The last change lowered the average rating from ${previous.score} to ${last.score}; `
+          + `put it back (${describe(change)})`,
+      };
+    }
+    // Putting back a change that made things worse is not a direction to follow
+    const reverted = previous.change && previous.change.path === last.change.path
+      && last.change.to === previous.change.from;
+    if (difference >= TUNING_RATING_THRESHOLD && !reverted) {
+      const change = stepSetting(log, last.change.path, getChangeDirection(log, last.change), current);
+      if (change) {
+        return {
+          action: 'continue',
+          change,
+          criterion: null,
+          message: `The last change raised the average rating from ${previous.score} to ${last.score}; `
+            + `try one more step the same way (${describe(change)})`,
+        };
+      }
+    }
+  }
+
+  // Changes that made things worse are not tried again
+  const failed = {};
+  runs.forEach((run, i) => {
+    if (run.change && i > 0 && run.score - runs[i - 1].score <= -TUNING_RATING_THRESHOLD) {
+      failed[`${run.change.path}:${getChangeDirection(log, run.change)}`] = true;
+    }
+  });
+
+  const criteria = Object.keys(TUNING_CRITERIA)
+    .filter((id) => last.ratings[id] !== undefined)
+    .sort((a, b) => last.ratings[a] - last.ratings[b]);
+  const weakest = criteria[0];
+  if (last.ratings[weakest] >= TUNING_RATING.max - 1) {
+    return {
+      action: 'keep',
+      change: null,
+      criterion: weakest,
+      message: `Every rating is ${TUNING_RATING.max - 1} or better; keep this setup and confirm it on other trails`,
+    };
+  }
+
+  for (let i = 0; i < criteria.length; i++) {
+    const criterion = criteria[i];
+    if (last.ratings[criterion] >= TUNING_RATING.max - 1) {
+      break;
+    }
+    const remedies = TUNING_REMEDIES[criterion];
+    for (let j = 0; j < remedies.length; j++) {
+      const remedy = remedies[j];
+      const paths = remedy.setting === 'tirePressure'
+        ? ['tires.front', 'tires.rear']
+        : [`fork.${remedy.setting}`, `shock.${remedy.setting}`];
+      const candidates = paths.filter((path) => log.baseline[path] && !failed[`${path}:${remedy.direction}`]);
+      for (let k = 0; k < candidates.length; k++) {
+        const change = stepSetting(log, candidates[k], remedy.direction, current);
+        if (change) {
+          return {
+            action: 'try',
+            change,
+            criterion,
+            message: `${TUNING_CRITERIA[criterion]} rated lowest (${last.ratings[criterion]}/${TUNING_RATING.max}); `
+              + `try ${describe(change)}. ${remedy.reason}`,
+          };
+        }
+      }
+    }
+  }
+  return {
+    action: 'keep',
+    change: null,
+    criterion: weakest,
+    message: 'Every change for the lowest ratings has been tried; keep the best-rated setup',
+  };
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Calculate the Pearson correlation of two series
+ * Formula: r = Σ(x - x̄)(y - ȳ) / √(Σ(x - x̄)² · Σ(y - ȳ)²)
+ * @param {number[]} xs - First series
+ * @param {number[]} ys - Second series
+ * @returns {number|null} Correlation (-1 to 1), or null when either series doesn't vary
+ */
+function calculateCorrelation(xs, ys) {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Relate the settings of the logged runs to their ratings
+ * @param {object} log - Tuning log
+ * @param {object} [options] - { criterion (ID; the average rating by default) }
+ * @returns {object} { best: { run, score, settings } or null, correlations: [{ path, name, unit,
+ *   correlation, bestValue, runs }] strongest first, once TUNING_MIN_RUNS runs are logged }
+ */
+function analyzeTuningLog(log, options = {}) {
+  const criterion = options.criterion;
+  if (criterion && !TUNING_CRITERIA[criterion]) {
+    throw new Error(`Unknown rating criterion: ${criterion}`);
+  }
+  const runs = log.runs.filter((run) => !criterion || run.ratings[criterion] !== undefined);
+  const score = (run) => (criterion ? run.ratings[criterion] : run.score);
+  if (!runs.length) {
+    return { best: null, correlations: [] };
+  }
+
+  // Later runs win ties: they were ridden with more experience of the bike
+  const best = runs.reduce((top, run) => (score(run) >= score(top) ? run : top));
+  const scores = runs.map(score);
+  const correlations = [];
+  const paths = runs.length >= TUNING_MIN_RUNS ? Object.keys(log.baseline) : [];
+  paths.forEach((path) => {
+    const values = runs.map((run) => run.settings[path]);
+    const correlation = calculateCorrelation(values, scores);
+    if (correlation === null) {
+      return;
+    }
+    const setting = log.baseline[path];
+    correlations.push({
+      path,
+      name: setting.name,
+      unit: setting.unit,
+      correlation: roundTo(correlation, 2),
+      bestValue: best.settings[path],
+      runs: runs.length,
+    });
+  });
+  correlations.sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+
+  return {
+    best: { run: best.run, score: score(best), settings: deepClone(best.settings) },
+    correlations,
+  };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TUNING_CRITERIA,
+    TUNING_RATING,
+    TUNING_STEPS,
+    TUNING_MIN_RUNS,
+    getTuningCriteria,
+    extractTuningSettings,
+    formatTuningValue,
+    createTuningLog,
+    getCurrentSettings,
+    recordTuningRun,
+    suggestNextChange,
+    analyzeTuningLog,
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * Utility Functions for Suspension Calculator
- * Includes unit conversions, validation, math, formatting, object utilities, and storage functions
+ * Includes unit conversions, the unit system, validation, math, formatting, object utilities, and storage functions
  */
 
 // ============================================================================
@@ -12,41 +12,198 @@
  * @param {number} lbs - Weight in pounds
  * @returns {number} Weight in kilograms
  */
-const lbsToKg = (lbs) => {
+function lbsToKg(lbs) {
   if (!isValidNumber(lbs)) return null;
   return lbs * 0.453592;
-};
+}
 
 /**
  * Convert kilograms to pounds
  * @param {number} kg - Weight in kilograms
  * @returns {number} Weight in pounds
  */
-const kgToLbs = (kg) => {
+function kgToLbs(kg) {
   if (!isValidNumber(kg)) return null;
   return kg / 0.453592;
-};
+}
 
 /**
  * Convert millimeters to inches
  * @param {number} mm - Distance in millimeters
  * @returns {number} Distance in inches
  */
-const mmToInches = (mm) => {
+function mmToInches(mm) {
   if (!isValidNumber(mm)) return null;
   return mm / 25.4;
-};
+}
 
 /**
  * Convert inches to millimeters
  * @param {number} inches - Distance in inches
  * @returns {number} Distance in millimeters
  */
-const inchesToMm = (inches) => {
+function inchesToMm(inches) {
   if (!isValidNumber(inches)) return null;
   return inches * 25.4;
+}
+
+/**
+ * Convert pascals to psi
+ * @param {number} pa - Pressure in pascals
+ * @returns {number} Pressure in psi
+ */
+function paToPsi(pa) {
+  if (!isValidNumber(pa)) return null;
+  return pa / 6894.757;
+}
+
+/**
+ * Convert psi to pascals
+ * @param {number} psi - Pressure in psi
+ * @returns {number} Pressure in pascals
+ */
+function psiToPa(psi) {
+  if (!isValidNumber(psi)) return null;
+  return psi * 6894.757;
+}
+
+/**
+ * Convert psi to bar
+ * @param {number} psi - Pressure in psi
+ * @returns {number} Pressure in bar
+ */
+function psiToBar(psi) {
+  if (!isValidNumber(psi)) return null;
+  return psi * 0.06894757;
+}
+
+/**
+ * Convert bar to psi
+ * @param {number} bar - Pressure in bar
+ * @returns {number} Pressure in psi
+ */
+function barToPsi(bar) {
+  if (!isValidNumber(bar)) return null;
+  return bar / 0.06894757;
+}
+
+/**
+ * Convert spring rate from N/mm to lbs/in
+ * @param {number} nPerMm - Spring rate in N/mm
+ * @returns {number} Spring rate in lbs/in
+ */
+function nPerMmToLbsPerIn(nPerMm) {
+  if (!isValidNumber(nPerMm)) return null;
+  return nPerMm / 0.175127;
+}
+
+/**
+ * Convert spring rate from lbs/in to N/mm
+ * @param {number} lbsPerIn - Spring rate in lbs/in
+ * @returns {number} Spring rate in N/mm
+ */
+function lbsPerInToNPerMm(lbsPerIn) {
+  if (!isValidNumber(lbsPerIn)) return null;
+  return lbsPerIn * 0.175127;
+}
+
+// ============================================================================
+// UNIT SYSTEM
+// ============================================================================
+
+// Conversion factors from the base unit of each quantity type (the first
+// listed), which is the unit the calculator modules work in
+const UNIT_FACTORS = {
+  mass: { kg: 1, lbs: 1 / 0.453592 },
+  length: { mm: 1, in: 1 / 25.4 },
+  springRate: { 'N/mm': 1, 'lbs/in': 1 / 0.175127, 'kg/mm': 1 / 9.80665 },
+  pressure: { psi: 1, bar: 0.06894757 },
+  damping: { 'N·s/m': 1 },
+  temperature: { '°C': 1, '°F': 1.8 },
+  altitude: { m: 1, ft: 1 / 0.3048 },
 };
 
+// Zero offsets of units whose scale doesn't start at the base unit's zero
+const UNIT_OFFSETS = {
+  '°F': 32,
+};
+
+// Display units per quantity type for each unit system
+const UNIT_SYSTEMS = {
+  metric: {
+    mass: 'kg', length: 'mm', springRate: 'N/mm', pressure: 'bar', damping: 'N·s/m', temperature: '°C', altitude: 'm',
+  },
+  imperial: {
+    mass: 'lbs', length: 'in', springRate: 'lbs/in', pressure: 'psi', damping: 'N·s/m', temperature: '°F', altitude: 'ft',
+  },
+};
+
+// Decimal places shown for each unit
+const UNIT_DECIMALS = {
+  kg: 1,
+  lbs: 0,
+  mm: 1,
+  in: 2,
+  'N/mm': 1,
+  'lbs/in': 0,
+  'kg/mm': 2,
+  psi: 0,
+  bar: 1,
+  'N·s/m': 0,
+  '°C': 0,
+  '°F': 0,
+  m: 0,
+  ft: 0,
+};
+
+/**
+ * Get the quantity type of a unit
+ * @param {string} unit - Unit (e.g., 'kg', 'in', 'N/mm', 'bar')
+ * @returns {string|null} Quantity type ('mass', 'length', 'springRate', 'pressure', 'damping',
+ *   'temperature', 'altitude'),
+ *   or null for units without conversions (e.g., '%', 'Hz')
+ */
+function getUnitType(unit) {
+  return Object.keys(UNIT_FACTORS).find((type) => unit in UNIT_FACTORS[type]) || null;
+}
+
+/**
+ * Convert a value between two units of the same quantity type
+ * @param {number} value - Value in the from unit
+ * @param {string} from - Unit of the value
+ * @param {string} to - Target unit
+ * @returns {number} Value in the target unit
+ */
+function convertUnit(value, from, to) {
+  if (!isValidNumber(value)) return null;
+  if (from === to) return value;
+  const type = getUnitType(from);
+  if (!type || !(to in UNIT_FACTORS[type])) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  const offset = (unit) => UNIT_OFFSETS[unit] || 0;
+  return ((value - offset(from)) / UNIT_FACTORS[type][from]) * UNIT_FACTORS[type][to] + offset(to);
+}
+
+/**
+ * Resolve unit settings to a display unit per quantity type
+ * The system sets every unit; springRate and pressure override it
+ * (e.g., { system: 'metric', pressure: 'psi' } for metric riders with a psi pump)
+ * @param {object} [settings] - { system: 'metric'|'imperial', springRate, pressure }
+ * @returns {object} Display units ({ system, mass, length, springRate, pressure, damping, temperature, altitude })
+ */
+function resolveUnits(settings) {
+  const options = settings || {};
+  const system = UNIT_SYSTEMS[options.system] ? options.system : 'metric';
+  const units = Object.assign({ system }, UNIT_SYSTEMS[system]);
+  ['springRate', 'pressure'].forEach((type) => {
+    if (options[type] && options[type] in UNIT_FACTORS[type]) {
+      units[type] = options[type];
+    }
+  });
+  return units;
+}
+
 // ============================================================================
 // VALIDATION FUNCTIONS
 // ============================================================================
@@ -56,9 +213,9 @@ const inchesToMm = (inches) => {
  * @param {*} value - Value to validate
  * @returns {boolean} True if valid number, false otherwise
  */
-const isValidNumber = (value) => {
+function isValidNumber(value) {
   return typeof value === 'number' && !isNaN(value) && isFinite(value);
-};
+}
 
 /**
  * Check if a value is a valid weight
@@ -67,9 +224,9 @@ const isValidNumber = (value) => {
  * @param {number} [max=Infinity] - Maximum allowed weight
  * @returns {boolean} True if valid weight, false otherwise
  */
-const isValidWeight = (value, min = 0, max = Infinity) => {
+function isValidWeight(value, min = 0, max = Infinity) {
   return isValidNumber(value) && value >= min && value <= max;
-};
+}
 
 /**
  * Check if a value is a valid travel distance
@@ -78,9 +235,9 @@ const isValidWeight = (value, min = 0, max = Infinity) => {
  * @param {number} [max=Infinity] - Maximum allowed travel
  * @returns {boolean} True if valid travel, false otherwise
  */
-const isValidTravel = (value, min = 0, max = Infinity) => {
+function isValidTravel(value, min = 0, max = Infinity) {
   return isValidNumber(value) && value >= min && value <= max;
-};
+}
 
 // ============================================================================
 // MATH FUNCTIONS
@@ -93,12 +250,12 @@ const isValidTravel = (value, min = 0, max = Infinity) => {
  * @param {number} max - Maximum value
  * @returns {number} Clamped value
  */
-const clamp = (value, min, max) => {
+function clamp(value, min, max) {
   if (!isValidNumber(value) || !isValidNumber(min) || !isValidNumber(max)) {
     return null;
   }
   return Math.max(min, Math.min(max, value));
-};
+}
 
 /**
  * Round a number to a specific number of decimal places
@@ -106,13 +263,13 @@ const clamp = (value, min, max) => {
  * @param {number} [decimals=2] - Number of decimal places
  * @returns {number} Rounded value
  */
-const roundTo = (value, decimals = 2) => {
+function roundTo(value, decimals = 2) {
   if (!isValidNumber(value) || !isValidNumber(decimals)) {
     return null;
   }
   const factor = Math.pow(10, decimals);
   return Math.round(value * factor) / factor;
-};
+}
 
 /**
  * Calculate percentage of a value
@@ -120,12 +277,12 @@ const roundTo = (value, decimals = 2) => {
  * @param {number} percentage - The percentage to calculate
  * @returns {number} The calculated percentage value
  */
-const calculatePercentage = (value, percentage) => {
+function calculatePercentage(value, percentage) {
   if (!isValidNumber(value) || !isValidNumber(percentage)) {
     return null;
   }
   return (value * percentage) / 100;
-};
+}
 
 // ============================================================================
 // FORMATTING FUNCTIONS
@@ -137,7 +294,7 @@ const calculatePercentage = (value, percentage) => {
  * @param {number} [decimals=2] - Number of decimal places
  * @returns {string} Formatted number string
  */
-const formatNumber = (value, decimals = 2) => {
+function formatNumber(value, decimals = 2) {
   if (!isValidNumber(value)) {
     return 'N/A';
   }
@@ -145,7 +302,7 @@ const formatNumber = (value, decimals = 2) => {
     minimumFractionDigits: decimals,
     maximumFractionDigits: decimals,
   });
-};
+}
 
 /**
  * Format a number with a unit suffix
@@ -154,13 +311,45 @@ const formatNumber = (value, decimals = 2) => {
  * @param {number} [decimals=2] - Number of decimal places
  * @returns {string} Formatted string with unit
  */
-const formatWithUnit = (value, unit, decimals = 2) => {
+function formatWithUnit(value, unit, decimals = 2) {
   if (!isValidNumber(value)) {
     return 'N/A';
   }
   const formatted = formatNumber(value, decimals);
-  return `${formatted} ${unit}`;
-};
+  return unit ? `${formatted} ${unit}` : formatted;
+}
+
+/**
+ * Format a { value, unit } quantity in the display unit of its type
+ * Units without conversions (e.g., '%', 'Hz') are shown as they are
+ * @param {{value: number, unit: string}} quantity - Quantity to format
+ * @param {object} [units] - Display units (see resolveUnits)
+ * @param {number} [decimals] - Decimal places (default: per display unit, else 1)
+ * @returns {string} Formatted string with unit
+ */
+function formatQuantity(quantity, units = resolveUnits(), decimals) {
+  if (!quantity) {
+    return 'N/A';
+  }
+  const type = getUnitType(quantity.unit);
+  const unit = type && units[type] ? units[type] : quantity.unit;
+  const places = decimals !== undefined ? decimals : (unit in UNIT_DECIMALS ? UNIT_DECIMALS[unit] : 1);
+  return formatWithUnit(type ? convertUnit(quantity.value, quantity.unit, unit) : quantity.value, unit, places);
+}
+
+/**
+ * Round a { value, unit } quantity to the precision it is shown with
+ * @param {{value: number, unit: string}} quantity - Quantity to round
+ * @param {object} [units] - Display units (see resolveUnits)
+ * @param {number} [decimals] - Decimal places (default: per display unit, else 1)
+ * @returns {{value: number, unit: string}} Rounded value in the display unit of its type
+ */
+function roundQuantity(quantity, units = resolveUnits(), decimals) {
+  const type = getUnitType(quantity.unit);
+  const unit = type && units[type] ? units[type] : quantity.unit;
+  const places = decimals !== undefined ? decimals : (unit in UNIT_DECIMALS ? UNIT_DECIMALS[unit] : 1);
+  return { value: roundTo(type ? convertUnit(quantity.value, quantity.unit, unit) : quantity.value, places), unit };
+}
 
 /**
  * Format a date object or date string
@@ -168,7 +357,7 @@ const formatWithUnit = (value, unit, decimals = 2) => {
  * @param {string} [locale='en-US'] - Locale for formatting
  * @returns {string} Formatted date string
  */
-const formatDate = (date, locale = 'en-US') => {
+function formatDate(date, locale = 'en-US') {
   try {
     const dateObj = typeof date === 'string' ? new Date(date) : date;
     if (!(dateObj instanceof Date) || isNaN(dateObj)) {
@@ -182,7 +371,7 @@ const formatDate = (date, locale = 'en-US') => {
   } catch (error) {
     return 'Invalid Date';
   }
-};
+}
 
 // ============================================================================
 // OBJECT FUNCTIONS
@@ -193,7 +382,7 @@ const formatDate = (date, locale = 'en-US') => {
  * @param {*} obj - Object to clone
  * @returns {*} Deep cloned object
  */
-const deepClone = (obj) => {
+function deepClone(obj) {
   if (obj === null || typeof obj !== 'object') {
     return obj;
   }
@@ -217,14 +406,14 @@ const deepClone = (obj) => {
   }
 
   return obj;
-};
+}
 
 /**
  * Merge multiple objects into a single object (shallow merge)
  * @param {...Object} objects - Objects to merge
  * @returns {Object} Merged object
  */
-const mergeObjects = (...objects) => {
+function mergeObjects(...objects) {
   const merged = {};
   objects.forEach((obj) => {
     if (obj && typeof obj === 'object') {
@@ -232,7 +421,7 @@ const mergeObjects = (...objects) => {
     }
   });
   return merged;
-};
+}
 
 // ============================================================================
 // STORAGE FUNCTIONS
@@ -244,7 +433,7 @@ const mergeObjects = (...objects) => {
  * @param {*} value - Value to store (will be JSON stringified)
  * @returns {boolean} True if successful, false otherwise
  */
-const saveToLocalStorage = (key, value) => {
+function saveToLocalStorage(key, value) {
   try {
     if (!key || typeof key !== 'string') {
       console.warn('Invalid storage key provided');
@@ -257,7 +446,7 @@ const saveToLocalStorage = (key, value) => {
     console.error(`Failed to save to localStorage: ${error.message}`);
     return false;
   }
-};
+}
 
 /**
  * Load data from localStorage
@@ -265,7 +454,7 @@ const saveToLocalStorage = (key, value) => {
  * @param {*} [defaultValue=null] - Default value if key not found
  * @returns {*} Stored value or default value
  */
-const loadFromLocalStorage = (key, defaultValue = null) => {
+function loadFromLocalStorage(key, defaultValue = null) {
   try {
     if (!key || typeof key !== 'string') {
       console.warn('Invalid storage key provided');
@@ -280,53 +469,51 @@ const loadFromLocalStorage = (key, defaultValue = null) => {
     console.error(`Failed to load from localStorage: ${error.message}`);
     return defaultValue;
   }
-};
+}
 
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
-// Unit Conversion Exports
-export { lbsToKg, kgToLbs, mmToInches, inchesToMm };
-
-// Validation Exports
-export { isValidNumber, isValidWeight, isValidTravel };
-
-// Math Exports
-export { clamp, roundTo, calculatePercentage };
-
-// Formatting Exports
-export { formatNumber, formatWithUnit, formatDate };
-
-// Object Exports
-export { deepClone, mergeObjects };
-
-// Storage Exports
-export { saveToLocalStorage, loadFromLocalStorage };
-
-// Export all utilities as default
-export default {
-  // Unit Conversions
-  lbsToKg,
-  kgToLbs,
-  mmToInches,
-  inchesToMm,
-  // Validation
-  isValidNumber,
-  isValidWeight,
-  isValidTravel,
-  // Math
-  clamp,
-  roundTo,
-  calculatePercentage,
-  // Formatting
-  formatNumber,
-  formatWithUnit,
-  formatDate,
-  // Object
-  deepClone,
-  mergeObjects,
-  // Storage
-  saveToLocalStorage,
-  loadFromLocalStorage,
-};
+// Export functions for use in Node.js or module systems; in the browser the
+// declarations above are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    // Unit Conversions
+    lbsToKg,
+    kgToLbs,
+    mmToInches,
+    inchesToMm,
+    paToPsi,
+    psiToPa,
+    psiToBar,
+    barToPsi,
+    nPerMmToLbsPerIn,
+    lbsPerInToNPerMm,
+    // Unit System
+    UNIT_SYSTEMS,
+    getUnitType,
+    convertUnit,
+    resolveUnits,
+    // Validation
+    isValidNumber,
+    isValidWeight,
+    isValidTravel,
+    // Math
+    clamp,
+    roundTo,
+    calculatePercentage,
+    // Formatting
+    formatNumber,
+    formatWithUnit,
+    formatQuantity,
+    roundQuantity,
+    formatDate,
+    // Object
+    deepClone,
+    mergeObjects,
+    // Storage
+    saveToLocalStorage,
+    loadFromLocalStorage,
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Input Validation Module
+ * Field-level checks of the form input before a setup is calculated: hard
+ * errors block the calculation, soft warnings are shown alongside the result
+ */
+
+// In Node the dependencies are loaded with require(); in the browser they are
+// globals declared by the calculator scripts loaded before this one
+if (typeof require === 'function') {
+  var {
+    isValidNumber,
+    isValidWeight,
+    isValidTravel,
+    convertUnit,
+    formatQuantity,
+  } = require('./utils.js');
+  var { calculateEffectiveTireWidth } = require('./tire-pressure.js');
+}
+
+// Plausible input ranges; values outside limit are errors, outside typical are warnings
+const INPUT_LIMITS = {
+  riderWeight: { limit: { min: 20, max: 250 }, typical: { min: 40, max: 150 } }, // kg
+  gearWeight: { limit: { min: 0, max: 50 }, typical: { min: 0, max: 20 } }, // kg
+  travel: { limit: { min: 0, max: 300 } }, // mm
+  tireWidth: { limit: { min: 20, max: 130 } }, // mm
+  temperature: { limit: { min: -40, max: 50 } }, // °C
+  altitude: { limit: { min: -500, max: 6000 } }, // m
+};
+
+/**
+ * Validate the form input
+ * @param {object} input - Form input (see setup-file.js for the fields; travel and sag in mm)
+ * @param {object} [options] - { preset (bike preset the travel is checked against), defaultPreset (preset
+ *   the calculation falls back to for custom bikes, for the shock stroke), units (see resolveUnits) }
+ * @returns {object} { valid, errors: [{ field, message }], warnings: [{ field, message }] }
+ */
+function validateSetupInput(input, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (field, message) => errors.push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+  const mass = (kg) => formatQuantity({ value: kg, unit: 'kg' }, options.units, 0);
+  const inches = Boolean(options.units && options.units.length === 'in');
+  const length = (mm) => formatQuantity({ value: mm, unit: 'mm' }, options.units, inches ? 1 : 0);
+  const unit = input.weightUnit === 'lbs' ? 'lbs' : 'kg';
+  const toKg = (value) => convertUnit(value, unit, 'kg');
+
+  // Rider, gear and scales
+  const rider = INPUT_LIMITS.riderWeight;
+  if (!isValidWeight(input.riderWeight) || input.riderWeight === 0) {
+    error('riderWeight', 'Enter your rider weight');
+  } else if (!isValidWeight(toKg(input.riderWeight), rider.limit.min, rider.limit.max)) {
+    error('riderWeight', `Rider weight must be between ${mass(rider.limit.min)} and ${mass(rider.limit.max)}`);
+  } else if (!isValidWeight(toKg(input.riderWeight), rider.typical.min, rider.typical.max)) {
+    warn('riderWeight', `Rider weight is outside the usual ${mass(rider.typical.min)} to ${mass(rider.typical.max)}; `
+      + 'check the spring range of your fork and shock');
+  }
+
+  const gear = INPUT_LIMITS.gearWeight;
+  const gearWeight = input.gearWeight || 0;
+  if (!isValidWeight(toKg(gearWeight), gear.limit.min, gear.limit.max)) {
+    error('gearWeight', `Gear weight must be between ${mass(gear.limit.min)} and ${mass(gear.limit.max)}`);
+  } else if (toKg(gearWeight) > gear.typical.max) {
+    warn('gearWeight', `Gear weight over ${mass(gear.typical.max)} is unusual; check the unit`);
+  }
+
+  if (input.scales) {
+    if (!isValidWeight(input.scales.front) || !isValidWeight(input.scales.rear)
+      || input.scales.front === 0 || input.scales.rear === 0) {
+      error('scales', 'Enter both scale readings, or leave both empty');
+    }
+  }
+
+  // Travel, against the frame's rating when the bike is a preset
+  const travel = INPUT_LIMITS.travel.limit;
+  const preset = options.preset;
+  const checkTravel = (field, value, name, presetEnd, required) => {
+    if (!isValidNumber(value)) {
+      error(field, `Enter ${name.toLowerCase()} travel`);
+    } else if (!isValidTravel(value, travel.min, travel.max) || (required && value === 0)) {
+      error(field, `${name} travel must be ${required ? 'more than' : 'at least'} ${length(travel.min)} `
+        + `and no more than ${length(travel.max)}`);
+    } else if (presetEnd && value > presetEnd.maxTravel) {
+      warn(field, `${name} travel exceeds the frame rating (${length(presetEnd.maxTravel)} maximum)`);
+    } else if (presetEnd && value < presetEnd.minTravel) {
+      warn(field, `${name} travel is below the frame's ${length(presetEnd.minTravel)} minimum`);
+    }
+  };
+  checkTravel('forkTravel', input.forkTravel, 'Fork', preset && preset.suspension.front, true);
+  checkTravel('suspensionTravel', input.suspensionTravel, 'Rear', preset && preset.suspension.rear, false);
+  if (preset && !preset.suspension.rear && input.suspensionTravel > 0) {
+    warn('suspensionTravel', `${preset.name} has no rear suspension; rear travel is ignored`);
+  }
+
+  // Measured sag can't be more than the travel it was measured on: the fork
+  // stanchion, or the shock shaft, whose stroke scales with the rear travel
+  // like it does in the calculation
+  const measuredSag = input.measuredSag || {};
+  const strokeRear = (preset || options.defaultPreset || { suspension: {} }).suspension.rear;
+  const rearTravel = isValidNumber(input.suspensionTravel) && input.suspensionTravel > 0 ? input.suspensionTravel : null;
+  const shockStroke = strokeRear && strokeRear.stroke && rearTravel
+    ? strokeRear.stroke * (rearTravel / strokeRear.travel)
+    : null;
+  [
+    ['fork', isValidNumber(input.forkTravel) ? input.forkTravel : null, 'travel'],
+    ['shock', shockStroke, 'shock stroke'],
+  ].forEach(([end, limit, name]) => {
+    const measurement = measuredSag[end];
+    if (!measurement) {
+      return;
+    }
+    const field = `measuredSag.${end}`;
+    if (!isValidTravel(measurement.stroke) || measurement.stroke === 0) {
+      error(field, 'Measured sag must be a positive number');
+    } else if (limit !== null && measurement.stroke >= limit) {
+      error(field, `Measured sag must be less than the ${length(limit)} ${name}`);
+    }
+    if (measurement.pressure !== undefined && !(measurement.pressure > 0)) {
+      error(field, 'Pressure set must be a positive number');
+    }
+  });
+
+  // Tires, when a width is given
+  const tires = input.tires;
+  if (tires) {
+    const tireWidth = INPUT_LIMITS.tireWidth.limit;
+    if (!isValidNumber(tires.width) || tires.width < tireWidth.min || tires.width > tireWidth.max) {
+      error('tires.width', `Tire width must be between ${length(tireWidth.min)} and ${length(tireWidth.max)}`);
+    } else if (!isValidNumber(tires.rimWidth) || tires.rimWidth <= 0) {
+      error('tires.rimWidth', 'Enter the internal width of the rim');
+    } else {
+      try {
+        calculateEffectiveTireWidth(tires.width, tires.rimWidth);
+      } catch (fitError) {
+        error('tires.rimWidth', `The rim is too ${tires.rimWidth < tires.width / 2 ? 'narrow' : 'wide'} for this tire`);
+      }
+    }
+  }
+
+  // Pump and riding conditions, for air pressure compensation
+  const conditions = input.conditions;
+  if (conditions) {
+    const temperature = INPUT_LIMITS.temperature.limit;
+    const altitude = INPUT_LIMITS.altitude.limit;
+    const degrees = (celsius) => formatQuantity({ value: celsius, unit: '°C' }, options.units);
+    const height = (m) => formatQuantity({ value: m, unit: 'm' }, options.units);
+    const checkPlace = (field, place, name) => {
+      if (!isValidNumber(place.temperature)) {
+        error(field, `Enter the ${name} temperature, or leave the conditions empty`);
+      } else if (place.temperature < temperature.min || place.temperature > temperature.max) {
+        error(field, `${name.charAt(0).toUpperCase()}${name.slice(1)} temperature must be between `
+          + `${degrees(temperature.min)} and ${degrees(temperature.max)}`);
+      }
+      if (place.altitude !== undefined && (!isValidNumber(place.altitude)
+        || place.altitude < altitude.min || place.altitude > altitude.max)) {
+        error(field, `Altitude must be between ${height(altitude.min)} and ${height(altitude.max)}`);
+      }
+    };
+    const pump = conditions.pump || {};
+    const ride = conditions.ride || {};
+    checkPlace('conditions.pump', pump, 'pump');
+    checkPlace('conditions.ride', ride, 'riding');
+    // The range is only checked once the riding temperature it spans is known
+    const range = isValidNumber(ride.temperature)
+      ? [ride.minTemperature, ride.maxTemperature].filter((value) => value !== undefined)
+      : [];
+    if (range.some((value) => !isValidNumber(value) || value < temperature.min || value > temperature.max)) {
+      error('conditions.range', `Temperatures must be between ${degrees(temperature.min)} and ${degrees(temperature.max)}`);
+    } else if (range.length === 2 && ride.minTemperature > ride.maxTemperature) {
+      error('conditions.range', 'The coldest temperature must not be above the warmest');
+    } else if (range.length === 2
+      && (ride.temperature < ride.minTemperature || ride.temperature > ride.maxTemperature)) {
+      warn('conditions.range', 'The riding temperature is outside this range');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// Export functions for use in Node.js or module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateSetupInput,
+  };
+}
@@ -3,192 +3,1199 @@
 const app = {
     data: {
         riderWeight: 0,
-        weightUnit: 'lbs',
+        weightUnit: 'kg',
+        gearWeight: 0,
+        ridingPosition: 'standing',
+        scales: null,
+        dampers: { fork: '', shock: '' },
+        measuredSag: {},
+        tires: null,
+        conditions: null,
         suspensionTravel: 0,
         forkTravel: 0,
         ridingStyle: 'trail',
+        customProfile: null,
         bikeModel: ''
     },
 
+    storageKey: 'suspensionCalculator.lastInput',
+
+    unitsKey: 'suspensionCalculator.units',
+
+    pinned: [],
+
     init() {
         this.cacheDOM();
+        this.units = resolveUnits(loadFromLocalStorage(this.unitsKey));
+        this.renderUnits();
+        this.populateBikeModelOptions();
+        this.populateDamperOptions();
+        this.populateTireOptions();
+        this.populateSymptoms();
+        this.populateTuningRatings();
         this.bindEvents();
+        this.garage = loadGarage();
+        this.renderGarage();
+        this.profiles = loadCustomProfiles();
+        // Custom profiles opened from links and files are only kept in memory until they are saved
+        this.linkedProfiles = { profiles: [] };
+        this.populateProfileOptions();
+        this.renderProfileOptions('trail');
+        this.fillProfileEditor(getRidingProfile('trail'));
+
+        if (!this.loadSharedSetup()) {
+            const saved = loadFromLocalStorage(this.storageKey);
+            if (saved) {
+                this.populateForm(saved);
+            }
+        }
+    },
+
+    loadSharedSetup() {
+        let input;
+        try {
+            input = decodeSetupLink(window.location.hash) || decodeSetupLink(window.location.search);
+        } catch (error) {
+            alert(`This setup link could not be opened.\n${error.message}`);
+            return false;
+        }
+        if (!input) return false;
+
+        this.populateForm(input);
+        this.handleCalculate();
+        return true;
     },
 
     cacheDOM() {
+        this.unitSystemEl = document.getElementById('unitSystem');
+        this.springRateUnitEl = document.getElementById('springRateUnit');
+        this.pressureUnitEl = document.getElementById('pressureUnit');
+        this.unitLabelEls = document.querySelectorAll('[data-unit-type]');
         this.bikeModelEl = document.getElementById('bikeModel');
         this.riderWeightEl = document.getElementById('riderWeight');
-        this.weightUnitEl = document.getElementById('weightUnit');
+        this.gearWeightEl = document.getElementById('gearWeight');
+        this.ridingPositionEl = document.getElementById('ridingPosition');
+        this.scaleFrontEl = document.getElementById('scaleFront');
+        this.scaleRearEl = document.getElementById('scaleRear');
         this.suspensionTravelEl = document.getElementById('suspensionTravel');
         this.forkTravelEl = document.getElementById('forkTravel');
         this.ridingStyleEl = document.getElementById('ridingStyle');
+        this.forkDamperEl = document.getElementById('forkDamper');
+        this.shockDamperEl = document.getElementById('shockDamper');
+        this.forkMeasuredSagEl = document.getElementById('forkMeasuredSag');
+        this.forkSetPressureEl = document.getElementById('forkSetPressure');
+        this.shockMeasuredSagEl = document.getElementById('shockMeasuredSag');
+        this.shockSetPressureEl = document.getElementById('shockSetPressure');
+        this.tireWidthEl = document.getElementById('tireWidth');
+        this.rimWidthEl = document.getElementById('rimWidth');
+        this.tireCasingEl = document.getElementById('tireCasing');
+        this.tireSetupEl = document.getElementById('tireSetup');
+        this.symptomListEl = document.getElementById('symptomList');
+        this.diagnoseBtn = document.getElementById('diagnoseBtn');
+        this.troubleshootingResultsEl = document.getElementById('troubleshootingResults');
+        this.telemetryBtn = document.getElementById('telemetryBtn');
+        this.telemetryFileEl = document.getElementById('telemetryFile');
+        this.telemetryResultsEl = document.getElementById('telemetryResults');
+        this.pumpTemperatureEl = document.getElementById('pumpTemperature');
+        this.pumpAltitudeEl = document.getElementById('pumpAltitude');
+        this.rideTemperatureEl = document.getElementById('rideTemperature');
+        this.rideAltitudeEl = document.getElementById('rideAltitude');
+        this.rideTemperatureMinEl = document.getElementById('rideTemperatureMin');
+        this.rideTemperatureMaxEl = document.getElementById('rideTemperatureMax');
         this.calculateBtn = document.getElementById('calculateBtn');
         this.resetBtn = document.getElementById('resetBtn');
         this.exportBtn = document.getElementById('exportBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFileEl = document.getElementById('importFile');
         this.resultsSection = document.getElementById('resultsSection');
+        this.saveSetupBtn = document.getElementById('saveSetupBtn');
+        this.shareBtn = document.getElementById('shareBtn');
+        this.pinSetupBtn = document.getElementById('pinSetupBtn');
+        this.printCardBtn = document.getElementById('printCardBtn');
+        this.pdfCardBtn = document.getElementById('pdfCardBtn');
+        this.setupCardEl = document.getElementById('setupCard');
+        this.comparisonSection = document.getElementById('comparisonSection');
+        this.comparisonHintEl = document.getElementById('comparisonHint');
+        this.comparisonTableEl = document.getElementById('comparisonTable');
+        this.clearComparisonBtn = document.getElementById('clearComparisonBtn');
+        this.garageBikeEl = document.getElementById('garageBike');
+        this.garageBikeNameEl = document.getElementById('garageBikeName');
+        this.addBikeBtn = document.getElementById('addBikeBtn');
+        this.historyVersionEl = document.getElementById('historyVersion');
+        this.compareVersionEl = document.getElementById('compareVersion');
+        this.restoreVersionBtn = document.getElementById('restoreVersionBtn');
+        this.diffVersionsBtn = document.getElementById('diffVersionsBtn');
+        this.historyDiffEl = document.getElementById('historyDiff');
+        this.tuningTrailEl = document.getElementById('tuningTrail');
+        this.tuningConditionsEl = document.getElementById('tuningConditions');
+        this.tuningSettingEl = document.getElementById('tuningSetting');
+        this.tuningValueEl = document.getElementById('tuningValue');
+        this.tuningRatingsEl = document.getElementById('tuningRatings');
+        this.tuningNoteEl = document.getElementById('tuningNote');
+        this.recordRideBtn = document.getElementById('recordRideBtn');
+        this.tuningSuggestionEl = document.getElementById('tuningSuggestion');
+        this.tuningRunsEl = document.getElementById('tuningRuns');
+        this.tuningCorrelationsEl = document.getElementById('tuningCorrelations');
+        this.profileBaseEl = document.getElementById('profileBase');
+        this.profileBlendEl = document.getElementById('profileBlend');
+        this.profileBlendShareEl = document.getElementById('profileBlendShare');
+        this.loadProfileBtn = document.getElementById('loadProfileBtn');
+        this.profileNameEl = document.getElementById('profileName');
+        this.profileSagFrontEl = document.getElementById('profileSagFront');
+        this.profileSagRearEl = document.getElementById('profileSagRear');
+        this.profileLowSpeedEl = document.getElementById('profileLowSpeed');
+        this.profileHighSpeedEl = document.getElementById('profileHighSpeed');
+        this.profileReboundFrontEl = document.getElementById('profileReboundFront');
+        this.profileReboundRearEl = document.getElementById('profileReboundRear');
+        this.profileRecommendationsEl = document.getElementById('profileRecommendations');
+        this.saveProfileBtn = document.getElementById('saveProfileBtn');
+        this.deleteProfileBtn = document.getElementById('deleteProfileBtn');
+    },
+
+    populateBikeModelOptions() {
+        const groups = {};
+        getAvailableBikeModels().forEach((model) => {
+            if (!groups[model.preset]) {
+                groups[model.preset] = document.createElement('optgroup');
+                groups[model.preset].label = getBikePreset(model.preset).name;
+                this.bikeModelEl.appendChild(groups[model.preset]);
+            }
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            groups[model.preset].appendChild(option);
+        });
+    },
+
+    populateDamperOptions() {
+        [[this.forkDamperEl, 'fork'], [this.shockDamperEl, 'shock']].forEach(([select, type]) => {
+            getAvailableDampers(type).forEach((damper) => {
+                const option = document.createElement('option');
+                option.value = damper.id;
+                option.textContent = damper.name;
+                select.appendChild(option);
+            });
+        });
+    },
+
+    populateTireOptions() {
+        [[this.tireCasingEl, getAvailableTireCasings()], [this.tireSetupEl, getAvailableTireSetups()]].forEach(([select, options]) => {
+            options.forEach((item) => {
+                const option = document.createElement('option');
+                option.value = item.id;
+                option.textContent = item.name;
+                select.appendChild(option);
+            });
+        });
+        this.tireCasingEl.value = 'standard';
+        this.tireSetupEl.value = 'tubeless';
+    },
+
+    populateSymptoms() {
+        getAvailableSymptoms().forEach((symptom) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = symptom.id;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(symptom.name));
+            this.symptomListEl.appendChild(label);
+        });
+    },
+
+    populateTuningRatings() {
+        getTuningCriteria().forEach((criterion) => {
+            const field = document.createElement('div');
+            const label = document.createElement('label');
+            const select = document.createElement('select');
+            label.htmlFor = `tuningRating-${criterion.id}`;
+            label.textContent = criterion.name;
+            select.id = label.htmlFor;
+            select.dataset.criterion = criterion.id;
+            ['', '1', '2', '3', '4', '5'].forEach((rating) => {
+                const option = document.createElement('option');
+                option.value = rating;
+                option.textContent = rating || '--';
+                select.appendChild(option);
+            });
+            field.appendChild(label);
+            field.appendChild(select);
+            this.tuningRatingsEl.appendChild(field);
+        });
     },
 
     bindEvents() {
+        this.unitSystemEl.addEventListener('change', () => this.handleUnitsChange(true));
+        this.springRateUnitEl.addEventListener('change', () => this.handleUnitsChange(false));
+        this.pressureUnitEl.addEventListener('change', () => this.handleUnitsChange(false));
         this.calculateBtn.addEventListener('click', () => this.handleCalculate());
         this.resetBtn.addEventListener('click', () => this.handleReset());
         this.exportBtn.addEventListener('click', () => this.handleExport());
+        this.importBtn.addEventListener('click', () => this.importFileEl.click());
+        this.importFileEl.addEventListener('change', (e) => this.handleImport(e));
         this.bikeModelEl.addEventListener('change', (e) => this.handleBikeModelChange(e));
+        this.saveSetupBtn.addEventListener('click', () => this.handleSaveSetup());
+        this.shareBtn.addEventListener('click', () => this.handleShare());
+        this.pinSetupBtn.addEventListener('click', () => this.handlePinSetup());
+        this.printCardBtn.addEventListener('click', () => this.handlePrintCard());
+        this.pdfCardBtn.addEventListener('click', () => this.handleDownloadPdf());
+        this.diagnoseBtn.addEventListener('click', () => this.handleDiagnose());
+        this.telemetryBtn.addEventListener('click', () => this.telemetryFileEl.click());
+        this.telemetryFileEl.addEventListener('change', (e) => this.handleTelemetryImport(e));
+        this.clearComparisonBtn.addEventListener('click', () => this.handleClearComparison());
+        this.addBikeBtn.addEventListener('click', () => this.handleAddBike());
+        this.garageBikeEl.addEventListener('change', () => this.handleGarageBikeChange());
+        this.restoreVersionBtn.addEventListener('click', () => this.handleRestoreVersion());
+        this.diffVersionsBtn.addEventListener('click', () => this.handleDiffVersions());
+        this.historyVersionEl.addEventListener('change', () => this.renderTuningLog());
+        this.tuningSettingEl.addEventListener('change', () => this.handleTuningSettingChange());
+        this.recordRideBtn.addEventListener('click', () => this.handleRecordRide());
+        this.ridingStyleEl.addEventListener('change', () => this.handleRidingStyleChange());
+        this.loadProfileBtn.addEventListener('click', () => this.handleLoadProfile());
+        this.saveProfileBtn.addEventListener('click', () => this.handleSaveProfile());
+        this.deleteProfileBtn.addEventListener('click', () => this.handleDeleteProfile());
     },
 
-    handleBikeModelChange(e) {
-        const model = e.target.value;
-        if (model && bikePresets[model]) {
-            const preset = bikePresets[model];
-            this.suspensionTravelEl.value = preset.suspensionTravel;
-            this.forkTravelEl.value = preset.forkTravel;
+    renderUnits() {
+        this.unitSystemEl.value = this.units.system;
+        this.springRateUnitEl.value = this.units.springRate;
+        this.pressureUnitEl.value = this.units.pressure;
+        this.unitLabelEls.forEach((label) => {
+            label.textContent = this.units[label.dataset.unitType];
+        });
+    },
+
+    handleUnitsChange(systemChanged) {
+        const data = this.readForm();
+        const settings = { system: this.unitSystemEl.value };
+        if (!systemChanged) {
+            settings.springRate = this.springRateUnitEl.value;
+            settings.pressure = this.pressureUnitEl.value;
+        }
+        this.units = resolveUnits(settings);
+        saveToLocalStorage(this.unitsKey, settings);
+        this.renderUnits();
+        this.populateForm(data);
+        this.renderTuningLog();
+
+        if (this.setup) {
+            this.setup = this.calculateSetup();
+            this.renderResults(this.setup);
+            this.renderComparison();
         }
     },
 
-    handleCalculate() {
-        if (!this.validateInput()) return;
+    handleBikeModelChange(e) {
+        const model = getBikeModel(e.target.value);
+        if (!model) return;
 
-        this.collectFormData();
-        const setup = this.calculateSetup();
-        this.displayResults(setup);
+        this.populateForm(Object.assign(this.readForm(), {
+            forkTravel: model.travel.front,
+            suspensionTravel: model.type === 'full-suspension' ? model.travel.rear : 0,
+            dampers: model.dampers
+        }));
     },
 
-    validateInput() {
-        if (!this.riderWeightEl.value) {
-            alert('Please enter your rider weight');
-            return false;
-        }
-        if (!this.suspensionTravelEl.value) {
-            alert('Please enter suspension travel');
-            return false;
+    handleCalculate() {
+        const data = this.readForm();
+        if (!this.validateInput(data)) return;
+
+        Object.assign(this.data, data);
+        try {
+            this.setup = this.calculateSetup();
+        } catch (error) {
+            alert(error.message);
+            return;
         }
-        if (!this.forkTravelEl.value) {
-            alert('Please enter fork travel');
-            return false;
+        saveToLocalStorage(this.storageKey, this.data);
+        this.displayResults(this.setup);
+    },
+
+    validateInput(data) {
+        const validation = validateSetupInput(data, {
+            preset: findBikePreset(data.bikeModel),
+            defaultPreset: findBikePreset(SETUP_DEFAULTS.bike),
+            units: this.units
+        });
+        this.renderValidation(validation);
+        if (!validation.valid) {
+            this.getFieldElement(validation.errors[0].field).focus();
         }
-        return true;
+        return validation.valid;
     },
 
-    collectFormData() {
-        this.data.riderWeight = parseFloat(this.riderWeightEl.value);
-        this.data.weightUnit = this.weightUnitEl.value;
-        this.data.suspensionTravel = parseFloat(this.suspensionTravelEl.value);
-        this.data.forkTravel = parseFloat(this.forkTravelEl.value);
-        this.data.ridingStyle = this.ridingStyleEl.value;
-        this.data.bikeModel = this.bikeModelEl.value;
+    getFieldElement(field) {
+        const elements = {
+            riderWeight: this.riderWeightEl,
+            gearWeight: this.gearWeightEl,
+            scales: this.scaleFrontEl,
+            suspensionTravel: this.suspensionTravelEl,
+            forkTravel: this.forkTravelEl,
+            'measuredSag.fork': this.forkMeasuredSagEl,
+            'measuredSag.shock': this.shockMeasuredSagEl,
+            'tires.width': this.tireWidthEl,
+            'tires.rimWidth': this.rimWidthEl,
+            'conditions.pump': this.pumpTemperatureEl,
+            'conditions.ride': this.rideTemperatureEl,
+            'conditions.range': this.rideTemperatureMinEl
+        };
+        return elements[field];
     },
 
-    calculateSetup() {
-        const weightInLbs = this.data.weightUnit === 'kg' 
-            ? this.data.riderWeight * 2.20462 
-            : this.data.riderWeight;
+    renderValidation(validation) {
+        this.clearValidation();
+        const show = (items, type) => items.forEach((item) => {
+            const group = this.getFieldElement(item.field).closest('.form-group');
+            const message = document.createElement('p');
+            message.className = `field-message ${type}`;
+            message.textContent = item.message;
+            group.classList.add(`has-${type}`);
+            group.appendChild(message);
+        });
+        show(validation.errors, 'error');
+        show(validation.warnings, 'warning');
+    },
 
-        const styleMultiplier = this.getStyleMultiplier(this.data.ridingStyle);
+    clearValidation() {
+        document.querySelectorAll('.field-message').forEach((message) => message.remove());
+        document.querySelectorAll('.form-group.has-error, .form-group.has-warning').forEach((group) => {
+            group.classList.remove('has-error', 'has-warning');
+        });
+    },
 
+    // The form is in the display units; the input data keeps weights in
+    // weightUnit, travel and sag in mm and pressures in psi
+    readForm() {
+        const length = (el) => convertUnit(parseFloat(el.value), this.units.length, 'mm');
         return {
-            fork: this.calculateForkSetup(weightInLbs, styleMultiplier),
-            shock: this.calculateShockSetup(weightInLbs, styleMultiplier)
+            riderWeight: parseFloat(this.riderWeightEl.value),
+            weightUnit: this.units.mass,
+            gearWeight: parseFloat(this.gearWeightEl.value) || 0,
+            ridingPosition: this.ridingPositionEl.value,
+            scales: this.scaleFrontEl.value || this.scaleRearEl.value
+                ? { front: parseFloat(this.scaleFrontEl.value), rear: parseFloat(this.scaleRearEl.value) }
+                : null,
+            suspensionTravel: length(this.suspensionTravelEl),
+            forkTravel: length(this.forkTravelEl),
+            ridingStyle: this.ridingStyleEl.value,
+            customProfile: this.getCustomProfile(this.ridingStyleEl.value),
+            bikeModel: this.bikeModelEl.value,
+            dampers: { fork: this.forkDamperEl.value, shock: this.shockDamperEl.value },
+            measuredSag: {
+                fork: this.collectMeasuredSag(this.forkMeasuredSagEl, this.forkSetPressureEl),
+                shock: this.collectMeasuredSag(this.shockMeasuredSagEl, this.shockSetPressureEl)
+            },
+            tires: this.tireWidthEl.value
+                ? {
+                    width: length(this.tireWidthEl),
+                    rimWidth: length(this.rimWidthEl),
+                    casing: this.tireCasingEl.value,
+                    setup: this.tireSetupEl.value
+                }
+                : null,
+            conditions: this.collectConditions()
         };
     },
 
-    getStyleMultiplier(style) {
-        const multipliers = {
-            'xc': 1.2,
-            'trail': 1.0,
-            'enduro': 0.9,
-            'dh': 0.8
-        };
-        return multipliers[style] || 1.0;
+    collectMeasuredSag(sagEl, pressureEl) {
+        if (!sagEl.value) return undefined;
+
+        const measurement = { stroke: convertUnit(parseFloat(sagEl.value), this.units.length, 'mm') };
+        if (pressureEl.value) {
+            measurement.pressure = convertUnit(parseFloat(pressureEl.value), this.units.pressure, 'psi');
+        }
+        return measurement;
     },
 
-    calculateForkSetup(weightInLbs, multiplier) {
-        const springRate = calculateSpringRate(weightInLbs, this.data.forkTravel, 'fork') * multiplier;
-        const compression = Math.round((weightInLbs / 10) * multiplier);
-        const rebound = Math.round(compression * 1.2);
-        const sag = calculateSag(this.data.forkTravel, 'fork');
+    // Read in the display units and returned in °C and m; altitudes default to sea level
+    // and the temperature range to the riding temperature
+    collectConditions() {
+        const fields = [this.pumpTemperatureEl, this.pumpAltitudeEl, this.rideTemperatureEl,
+            this.rideAltitudeEl, this.rideTemperatureMinEl, this.rideTemperatureMaxEl];
+        if (!fields.some((el) => el.value)) return null;
 
+        const baseUnits = { temperature: '°C', altitude: 'm' };
+        const number = (el, type, fallback) => (el.value === ''
+            ? fallback
+            : convertUnit(parseFloat(el.value), this.units[type], baseUnits[type]));
+        const rideTemperature = number(this.rideTemperatureEl, 'temperature');
         return {
-            springRate: `${springRate.toFixed(1)} Nm/mm`,
-            compression: `${compression} clicks`,
-            rebound: `${rebound} clicks`,
-            sag: `${sag}%`
+            pump: {
+                temperature: number(this.pumpTemperatureEl, 'temperature'),
+                altitude: number(this.pumpAltitudeEl, 'altitude', 0)
+            },
+            ride: {
+                temperature: rideTemperature,
+                altitude: number(this.rideAltitudeEl, 'altitude', 0),
+                minTemperature: number(this.rideTemperatureMinEl, 'temperature', rideTemperature),
+                maxTemperature: number(this.rideTemperatureMaxEl, 'temperature', rideTemperature)
+            }
         };
     },
 
-    calculateShockSetup(weightInLbs, multiplier) {
-        const springRate = calculateSpringRate(weightInLbs, this.data.suspensionTravel, 'shock') * multiplier;
-        const compression = Math.round((weightInLbs / 12) * multiplier);
-        const rebound = Math.round(compression * 1.15);
-        const sag = calculateSag(this.data.suspensionTravel, 'shock');
+    populateForm(data) {
+        const display = (number, unit, type) => (number ? roundTo(convertUnit(number, unit, this.units[type]), 2) : '');
+        const mass = (number) => display(number, data.weightUnit || 'lbs', 'mass');
+        const length = (number) => display(number, 'mm', 'length');
+        const pressure = (number) => display(number, 'psi', 'pressure');
+        const measuredSag = data.measuredSag || {};
 
+        this.bikeModelEl.value = data.bikeModel || '';
+        this.riderWeightEl.value = mass(data.riderWeight);
+        this.gearWeightEl.value = mass(data.gearWeight);
+        this.ridingPositionEl.value = data.ridingPosition || 'standing';
+        this.scaleFrontEl.value = data.scales ? mass(data.scales.front) : '';
+        this.scaleRearEl.value = data.scales ? mass(data.scales.rear) : '';
+        this.suspensionTravelEl.value = length(data.suspensionTravel);
+        this.forkTravelEl.value = length(data.forkTravel);
+        if (data.customProfile && !this.findProfile(data.customProfile.id)) {
+            putCustomProfile(this.linkedProfiles, data.customProfile);
+            this.renderProfileOptions();
+        }
+        this.ridingStyleEl.value = data.ridingStyle || 'trail';
+        this.forkDamperEl.value = data.dampers ? data.dampers.fork : '';
+        this.shockDamperEl.value = data.dampers ? data.dampers.shock : '';
+        this.forkMeasuredSagEl.value = measuredSag.fork ? length(measuredSag.fork.stroke) : '';
+        this.forkSetPressureEl.value = measuredSag.fork ? pressure(measuredSag.fork.pressure) : '';
+        this.shockMeasuredSagEl.value = measuredSag.shock ? length(measuredSag.shock.stroke) : '';
+        this.shockSetPressureEl.value = measuredSag.shock ? pressure(measuredSag.shock.pressure) : '';
+        this.tireWidthEl.value = data.tires ? length(data.tires.width) : '';
+        this.rimWidthEl.value = data.tires ? length(data.tires.rimWidth) : '';
+        this.tireCasingEl.value = data.tires ? data.tires.casing : 'standard';
+        this.tireSetupEl.value = data.tires ? data.tires.setup : 'tubeless';
+        const conditions = data.conditions || { pump: {}, ride: {} };
+        // Zero is a real temperature or altitude, so only missing values are left empty
+        const place = (number, unit, type) => (number === undefined
+            ? ''
+            : roundTo(convertUnit(number, unit, this.units[type]), 1));
+        const temperature = (number) => place(number, '°C', 'temperature');
+        const altitude = (number) => place(number, 'm', 'altitude');
+        this.pumpTemperatureEl.value = temperature(conditions.pump.temperature);
+        this.pumpAltitudeEl.value = altitude(conditions.pump.altitude);
+        this.rideTemperatureEl.value = temperature(conditions.ride.temperature);
+        this.rideAltitudeEl.value = altitude(conditions.ride.altitude);
+        this.rideTemperatureMinEl.value = temperature(conditions.ride.minTemperature);
+        this.rideTemperatureMaxEl.value = temperature(conditions.ride.maxTemperature);
+    },
+
+    calculateSetup(data = this.data) {
+        return computeSetup({
+            rider: {
+                weight: data.riderWeight,
+                gear: data.gearWeight,
+                unit: data.weightUnit,
+                position: data.ridingPosition
+            },
+            bike: {
+                preset: data.bikeModel || undefined,
+                travel: { front: data.forkTravel, rear: data.suspensionTravel }
+            },
+            profile: data.customProfile || data.ridingStyle,
+            dampers: data.dampers,
+            measuredSag: data.measuredSag,
+            tires: data.tires,
+            conditions: data.conditions,
+            scales: data.scales && Object.assign({ unit: data.weightUnit }, data.scales),
+            units: this.units
+        });
+    },
+
+    formatEndSetup(end) {
+        if (!end) {
+            return { springRate: '--', mass: '--', airPressure: '--', volumeSpacers: '--', coilSpring: '--', leverage: '--', compression: '--', rebound: '--', sag: '--' };
+        }
         return {
-            springRate: `${springRate.toFixed(1)} Nm/mm`,
-            compression: `${compression} clicks`,
-            rebound: `${rebound} clicks`,
-            sag: `${sag}%`
+            springRate: formatQuantity(end.springRate, this.units),
+            mass: `${formatQuantity(end.sprungMass, this.units)} / ${formatQuantity(end.unsprungMass, this.units)}`,
+            airPressure: end.airPressure ? formatQuantity(end.airPressure, this.units) : '--',
+            volumeSpacers: end.volumeSpacers
+                ? `${end.volumeSpacers.tokens} tokens (${formatNumber(end.volumeSpacers.rampUp, 2)}× ramp-up)`
+                : '--',
+            coilSpring: end.coilSpring ? this.formatCoilSpring(end.coilSpring) : '--',
+            leverage: end.leverage ? this.formatLeverage(end.leverage) : '--',
+            compression: this.formatCompression(end),
+            rebound: this.formatRebound(end),
+            sag: `${end.sag.value}% (${formatQuantity(end.sagDistance, this.units)})`
         };
     },
 
+    formatClicks(adjuster) {
+        return adjuster ? `${adjuster.clicks}/${adjuster.totalClicks} clicks from closed` : 'not adjustable';
+    },
+
+    formatCompression(end) {
+        const lsc = `LSC ${end.compression.lowSpeed.value}%`;
+        const hsc = `HSC ${end.compression.highSpeed.value}%`;
+        if (!end.clicks) {
+            return `${lsc} / ${hsc}`;
+        }
+        const { adjusters } = end.clicks;
+        return `${lsc} (${this.formatClicks(adjusters.lsc)}) / ${hsc} (${this.formatClicks(adjusters.hsc)})`;
+    },
+
+    formatRebound(end) {
+        const rebound = `${end.rebound.setting.value}%`;
+        if (!end.clicks) {
+            return rebound;
+        }
+        const { adjusters } = end.clicks;
+        if (!adjusters.lsr) {
+            return `${rebound} (not adjustable)`;
+        }
+        const hsr = adjusters.hsr ? `, HSR ${this.formatClicks(adjusters.hsr)}` : '';
+        return `${rebound} (LSR ${this.formatClicks(adjusters.lsr)}${hsr})`;
+    },
+
+    formatCoilSpring(coilSpring) {
+        // Springs are sold by their lbs/in rating, so that is always shown
+        const rate = (quantity) => (quantity.unit === this.units.springRate ? '' : `${formatQuantity(quantity, this.units)}, `);
+        const option = (spring) => `${spring.rate.value} lbs/in (${rate(spring.rate)}${formatNumber(spring.sag.value, 1)}% sag)`;
+        const alternatives = [coilSpring.softer, coilSpring.stiffer].filter(Boolean).map(option);
+        return alternatives.length
+            ? `${option(coilSpring.recommended)} | alt: ${alternatives.join(', ')}`
+            : option(coilSpring.recommended);
+    },
+
+    formatLeverage(leverage) {
+        const progression = formatNumber(leverage.progression.value, 0);
+        return `${formatNumber(leverage.ratioAtSag, 2)} at sag `
+            + `(${formatNumber(leverage.startingRatio, 2)} → ${formatNumber(leverage.endingRatio, 2)}, ${progression}% progressive)`;
+    },
+
     displayResults(setup) {
-        document.getElementById('forkSpringRate').textContent = setup.fork.springRate;
-        document.getElementById('forkCompression').textContent = setup.fork.compression;
-        document.getElementById('forkRebound').textContent = setup.fork.rebound;
-        document.getElementById('forkSag').textContent = setup.fork.sag;
+        this.renderResults(setup);
+        this.resultsSection.style.display = 'block';
+        this.resultsSection.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    renderResults(setup) {
+        const fork = this.formatEndSetup(setup.fork);
+        const shock = this.formatEndSetup(setup.shock);
 
-        document.getElementById('shockSpringRate').textContent = setup.shock.springRate;
-        document.getElementById('shockCompression').textContent = setup.shock.compression;
-        document.getElementById('shockRebound').textContent = setup.shock.rebound;
-        document.getElementById('shockSag').textContent = setup.shock.sag;
+        document.getElementById('forkSpringRate').textContent = fork.springRate;
+        document.getElementById('forkMass').textContent = fork.mass;
+        document.getElementById('forkAirPressure').textContent = fork.airPressure;
+        document.getElementById('forkVolumeSpacers').textContent = fork.volumeSpacers;
+        document.getElementById('forkCompression').textContent = fork.compression;
+        document.getElementById('forkRebound').textContent = fork.rebound;
+        document.getElementById('forkSag').textContent = fork.sag;
+
+        document.getElementById('shockSpringRate').textContent = shock.springRate;
+        document.getElementById('shockMass').textContent = shock.mass;
+        document.getElementById('shockAirPressure').textContent = shock.airPressure;
+        document.getElementById('shockVolumeSpacers').textContent = shock.volumeSpacers;
+        document.getElementById('shockCoilSpring').textContent = shock.coilSpring;
+        document.getElementById('shockLeverage').textContent = shock.leverage;
+        document.getElementById('shockCompression').textContent = shock.compression;
+        document.getElementById('shockRebound').textContent = shock.rebound;
+        document.getElementById('shockSag').textContent = shock.sag;
+
+        const tires = setup.tires;
+        const width = (quantity) => formatQuantity(quantity, this.units, this.units.length === 'in' ? 2 : 0);
+        document.getElementById('tireSpec').textContent = tires
+            ? `${width(tires.width)} on ${width(tires.rimWidth)} rim, ${tires.casing}, ${tires.setup.toLowerCase()}`
+            : '--';
+        document.getElementById('frontTirePressure').textContent = tires
+            ? `${formatQuantity(tires.front.pressure, this.units)} (${formatQuantity(tires.front.load, this.units)} on the wheel)`
+            : '--';
+        document.getElementById('rearTirePressure').textContent = tires
+            ? `${formatQuantity(tires.rear.pressure, this.units)} (${formatQuantity(tires.rear.load, this.units)} on the wheel)`
+            : '--';
 
         const notes = this.generateNotes();
         document.getElementById('setupNotes').textContent = notes;
+        document.getElementById('massNotes').textContent = this.generateMassNotes(setup);
+        document.getElementById('damperNotes').textContent = [setup.fork, setup.shock]
+            .filter((end) => end && end.clicks)
+            .reduce((notes, end) => notes.concat(end.clicks.notes), [])
+            .map((note) => `${note}.`)
+            .join(' ');
+        document.getElementById('sagNotes').textContent = [setup.fork, setup.shock]
+            .filter((end) => end && end.sagCheck)
+            .map((end) => `${end.sagCheck.message}.`)
+            .join(' ');
+        document.getElementById('conditionNotes').textContent = [setup.fork, setup.shock]
+            .filter((end) => end && end.compensation)
+            .map((end) => `${end.compensation.message}.`)
+            .join(' ');
+        document.getElementById('balanceNotes').textContent = this.generateBalanceNotes(setup.balance);
+        document.getElementById('responseNotes').textContent = this.generateResponseNotes(setup);
+        document.getElementById('frequencyNotes').textContent = this.generateFrequencyNotes(setup);
 
-        this.resultsSection.style.display = 'block';
-        this.resultsSection.scrollIntoView({ behavior: 'smooth' });
+        // Suggested changes are deltas on the previous result
+        this.troubleshootingResultsEl.innerHTML = '';
+        this.renderTelemetry();
     },
 
     generateNotes() {
-        const style = this.data.ridingStyle;
+        const style = this.data.customProfile ? this.data.customProfile.base : this.data.ridingStyle;
         const notes = {
             'xc': 'XC setup: Stiffer settings for efficiency. Start with recommended values and adjust based on trail feedback.',
             'trail': 'Trail setup: Balanced compression and rebound. Great starting point for general trail riding.',
-            'enduro': 'Enduro setup: Slightly softer for comfort on long descents. Consider adding volume spacers for progression.',
-            'dh': 'DH setup: Softer damping for small bump compliance. Prepare for adjustments based on terrain.'
+            'enduro': 'Enduro setup: Slightly softer for comfort on long descents. Volume spacers are matched to the enduro ramp-up target.',
+            'downhill': 'DH setup: Softer damping for small bump compliance. Prepare for adjustments based on terrain.'
         };
         return notes[style] || 'Adjust settings based on personal preference and terrain conditions.';
     },
 
+    generateMassNotes(setup) {
+        const mass = setup.mass;
+        const split = `${formatNumber(mass.frontShare * 100, 0)}/${formatNumber((1 - mass.frontShare) * 100, 0)}`;
+        const source = mass.source === 'scales' ? 'from your scale readings' : `for a ${this.data.ridingPosition} rider`;
+        const notes = [`Total mass ${formatQuantity(setup.totalMass, this.units)} with a ${split} front/rear split ${source}.`];
+        const warnings = mass.warnings.concat(setup.tires ? setup.tires.warnings : []);
+        return notes.concat(warnings.map((warning) => `${warning}.`)).join(' ');
+    },
+
+    // Quarter-car step response of each end: how a square edge is absorbed and how much travel it takes
+    generateResponseNotes(setup) {
+        const stepHeight = 0.05; // m
+        return [['Fork', setup.fork], ['Shock', setup.shock]]
+            .filter(([, end]) => end)
+            .map(([name, end]) => {
+                const { metrics } = simulateQuarterCar(createQuarterCarFromSetup(end, { road: createStepRoad(stepHeight) }));
+                const bottomOuts = metrics.bottomOutEvents
+                    ? `, bottoming out ${metrics.bottomOutEvents} time${metrics.bottomOutEvents === 1 ? '' : 's'}`
+                    : '';
+                const settling = metrics.settled
+                    ? `settles in ${formatNumber(metrics.settlingTime, 2)} s`
+                    : `has not settled after ${QUARTER_CAR_DEFAULTS.duration} s`;
+                return `${name}: a ${formatQuantity({ value: stepHeight * 1000, unit: 'mm' }, this.units, 0)} step ${settling} `
+                    + `with ${formatNumber(metrics.overshootPercent, 0)}% overshoot, using `
+                    + `${formatNumber(metrics.peakTravelPercent, 0)}% of the travel${bottomOuts}.`;
+            })
+            .join(' ');
+    },
+
+    // Transmissibility of each end: where the body and wheel resonate and where bumps are isolated
+    generateFrequencyNotes(setup) {
+        const hertz = (frequency) => `${formatNumber(frequency, 1)} Hz`;
+        return [['Fork', setup.fork], ['Shock', setup.shock]]
+            .filter(([, end]) => end)
+            .map(([name, end]) => {
+                const response = analyzeFrequencyResponse(createQuarterCarFromSetup(end));
+                const parts = [];
+                if (response.sprungResonance.frequency !== null) {
+                    parts.push(`body resonance at ${hertz(response.sprungResonance.frequency)} `
+                        + `(${formatNumber(response.sprungResonance.transmissibility, 1)}x)`);
+                }
+                if (response.wheelHop.frequency !== null) {
+                    parts.push(`wheel hop at ${hertz(response.wheelHop.frequency)}`);
+                }
+                if (response.isolationBand) {
+                    parts.push(`bumps above ${hertz(response.isolationBand.start)} are isolated`);
+                }
+                return [`${name}: ${parts.join(', ')}.`].concat(response.notes.map((note) => `${note}.`)).join(' ');
+            })
+            .join(' ');
+    },
+
+    generateBalanceNotes(balance) {
+        if (!balance) return '';
+
+        const ratio = `Front/rear balance: ${formatNumber(balance.ratio, 2)} rear/front frequency ratio.`;
+        const note = balance.note ? ` ${balance.note}.` : '';
+        if (!balance.suggestion) {
+            return `${ratio} Front and rear are balanced.${note}`;
+        }
+        return `${ratio} ${balance.warnings.join('. ')}. ${balance.suggestion.message}.${note}`;
+    },
+
+    handleDiagnose() {
+        const symptoms = Array.from(this.symptomListEl.querySelectorAll('input:checked'), (checkbox) => checkbox.value);
+        this.troubleshootingResultsEl.innerHTML = '';
+        if (!this.setup || !symptoms.length) {
+            alert('Calculate a setup and tick at least one symptom first.');
+            return;
+        }
+
+        const diagnosis = diagnoseSetup(this.setup, symptoms, { units: this.units });
+        diagnosis.changes.forEach((change) => {
+            const item = document.createElement('li');
+            const title = document.createElement('span');
+            title.className = 'change';
+            title.textContent = `${change.name}: `;
+            item.appendChild(title);
+            item.appendChild(document.createTextNode(change.description));
+            change.reasons.forEach((reason) => {
+                const line = document.createElement('span');
+                line.className = 'reason';
+                line.textContent = reason;
+                item.appendChild(line);
+            });
+            this.troubleshootingResultsEl.appendChild(item);
+        });
+        diagnosis.conflicts.forEach((conflict) => {
+            const item = document.createElement('li');
+            item.textContent = `${conflict.name}: ${conflict.symptoms.join(' and ')} pull in opposite directions; leave it for now`;
+            this.troubleshootingResultsEl.appendChild(item);
+        });
+        diagnosis.notes.forEach((note) => {
+            const item = document.createElement('li');
+            item.textContent = note;
+            this.troubleshootingResultsEl.appendChild(item);
+        });
+    },
+
+    handleTelemetryImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (!this.setup) {
+            alert('Calculate a setup before importing telemetry.');
+            this.telemetryFileEl.value = '';
+            return;
+        }
+
+        file.text().then((text) => {
+            this.telemetry = parseTelemetry(text);
+            this.renderTelemetry();
+        }).catch((error) => {
+            alert(`This telemetry file could not be read.\n${error.message}`);
+        }).finally(() => {
+            this.telemetryFileEl.value = '';
+        });
+    },
+
+    renderTelemetry() {
+        this.telemetryResultsEl.innerHTML = '';
+        if (!this.telemetry || !this.setup) return;
+
+        let analysis;
+        try {
+            analysis = analyzeTelemetry(this.telemetry, this.setup);
+        } catch (error) {
+            this.telemetryResultsEl.textContent = `The telemetry could not be analyzed: ${error.message}`;
+            return;
+        }
+        const percent = (quantity) => (quantity.value === null ? '--' : `${quantity.value.toFixed(0)}%`);
+        const summary = document.createElement('p');
+        summary.textContent = [`${formatQuantity(analysis.duration, this.units, 0)} logged at `
+            + `${formatQuantity(analysis.sampleRate, this.units, 0)}.`].concat(analysis.notes).join(' ');
+        this.telemetryResultsEl.appendChild(summary);
+
+        [['fork', 'Fork'], ['shock', 'Shock']].forEach(([end, name]) => {
+            const result = analysis[end];
+            if (!result) return;
+
+            const heading = document.createElement('h4');
+            const length = formatQuantity(result.length, this.units, this.units.length === 'in' ? 1 : 0);
+            heading.textContent = `${name} (% of ${length} ${result.measuredOn})`;
+            this.telemetryResultsEl.appendChild(heading);
+
+            const stats = document.createElement('ul');
+            [
+                `Dynamic sag: ${percent(result.dynamicSag)} (${result.staticSource === 'measured'
+                    ? `static ${percent(result.staticSag)}, ` : ''}target ${percent(result.targetSag)})`,
+                `Travel used: ${percent(result.averageTravel)} average, ${percent(result.maxTravel)} max`,
+                `Bottom-outs: ${result.bottomOuts}`,
+                `Time in zone: ${result.zones.map((zone) => `${zone.name} ${zone.from}-${zone.to}% ${percent(zone.share)}`).join(', ')}`
+            ].concat(result.findings).forEach((line) => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                stats.appendChild(item);
+            });
+            this.telemetryResultsEl.appendChild(stats);
+
+            const histogram = document.createElement('div');
+            histogram.className = 'telemetry-histogram';
+            result.histogram.forEach((bin) => {
+                const row = document.createElement('div');
+                const label = document.createElement('span');
+                const bar = document.createElement('span');
+                const share = document.createElement('span');
+                row.className = 'bin';
+                label.className = 'label';
+                label.textContent = `${bin.from}-${bin.to}%`;
+                bar.className = 'bar';
+                bar.style.width = `${bin.share.value * 2}px`;
+                share.textContent = percent(bin.share);
+                row.appendChild(label);
+                row.appendChild(bar);
+                row.appendChild(share);
+                histogram.appendChild(row);
+            });
+            this.telemetryResultsEl.appendChild(histogram);
+        });
+    },
+
     handleReset() {
         document.getElementById('bikeModel').value = '';
         this.riderWeightEl.value = '';
+        this.gearWeightEl.value = '';
+        this.ridingPositionEl.value = 'standing';
+        this.scaleFrontEl.value = '';
+        this.scaleRearEl.value = '';
         this.suspensionTravelEl.value = '';
         this.forkTravelEl.value = '';
         this.ridingStyleEl.value = 'trail';
+        this.forkDamperEl.value = '';
+        this.shockDamperEl.value = '';
+        this.forkMeasuredSagEl.value = '';
+        this.forkSetPressureEl.value = '';
+        this.shockMeasuredSagEl.value = '';
+        this.shockSetPressureEl.value = '';
+        this.tireWidthEl.value = '';
+        this.rimWidthEl.value = '';
+        this.tireCasingEl.value = 'standard';
+        this.tireSetupEl.value = 'tubeless';
+        this.pumpTemperatureEl.value = '';
+        this.pumpAltitudeEl.value = '';
+        this.rideTemperatureEl.value = '';
+        this.rideAltitudeEl.value = '';
+        this.rideTemperatureMinEl.value = '';
+        this.rideTemperatureMaxEl.value = '';
+        this.telemetry = null;
+        this.telemetryResultsEl.innerHTML = '';
         this.resultsSection.style.display = 'none';
+        this.clearValidation();
     },
 
-    handleExport() {
-        const setup = {
-            date: new Date().toISOString(),
-            riderWeight: `${this.data.riderWeight} ${this.data.weightUnit}`,
-            bikeModel: this.data.bikeModel || 'Custom',
-            ridingStyle: this.data.ridingStyle,
-            suspensionTravel: `${this.data.suspensionTravel}mm`,
-            forkTravel: `${this.data.forkTravel}mm`,
-            results: {
-                fork: {
-                    springRate: document.getElementById('forkSpringRate').textContent,
-                    compression: document.getElementById('forkCompression').textContent,
-                    rebound: document.getElementById('forkRebound').textContent,
-                    sag: document.getElementById('forkSag').textContent
-                },
-                shock: {
-                    springRate: document.getElementById('shockSpringRate').textContent,
-                    compression: document.getElementById('shockCompression').textContent,
-                    rebound: document.getElementById('shockRebound').textContent,
-                    sag: document.getElementById('shockSag').textContent
-                }
+    renderGarage(selectedId = this.garageBikeEl.value) {
+        this.garageBikeEl.innerHTML = '<option value="">No bike selected</option>';
+        this.garage.bikes.forEach((bike) => {
+            const option = document.createElement('option');
+            option.value = bike.id;
+            option.textContent = bike.name;
+            this.garageBikeEl.appendChild(option);
+        });
+        this.garageBikeEl.value = getGarageBike(this.garage, selectedId) ? selectedId : '';
+        this.renderHistory();
+    },
+
+    renderHistory() {
+        const bike = getGarageBike(this.garage, this.garageBikeEl.value);
+        const history = bike ? bike.history.slice().reverse() : [];
+
+        [this.historyVersionEl, this.compareVersionEl].forEach((select) => {
+            select.innerHTML = '';
+            history.forEach((entry) => {
+                const option = document.createElement('option');
+                option.value = entry.version;
+                option.textContent = `v${entry.version} - ${new Date(entry.savedAt).toLocaleString()}${entry.note ? ` (${entry.note})` : ''}`;
+                select.appendChild(option);
+            });
+        });
+        if (history.length > 1) {
+            this.compareVersionEl.value = history[1].version;
+        }
+        this.historyDiffEl.innerHTML = '';
+        this.renderTuningLog();
+    },
+
+    handleAddBike() {
+        try {
+            const bike = addGarageBike(this.garage, {
+                name: this.garageBikeNameEl.value,
+                preset: this.bikeModelEl.value || null,
+                components: { dampers: { fork: this.forkDamperEl.value, shock: this.shockDamperEl.value } }
+            });
+            saveGarage(this.garage);
+            this.garageBikeNameEl.value = '';
+            this.renderGarage(bike.id);
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    handleGarageBikeChange() {
+        this.renderHistory();
+        const bike = getGarageBike(this.garage, this.garageBikeEl.value);
+        if (bike && bike.history.length) {
+            this.populateForm(bike.history[bike.history.length - 1].input);
+        }
+    },
+
+    handleSaveSetup() {
+        if (!this.garageBikeEl.value) {
+            alert('Please select or add a bike in the garage');
+            return;
+        }
+        saveSetupVersion(this.garage, this.garageBikeEl.value, { input: this.data, setup: this.setup });
+        saveGarage(this.garage);
+        this.renderHistory();
+    },
+
+    handleRestoreVersion() {
+        if (!this.historyVersionEl.value) return;
+
+        this.populateForm(restoreSetupVersion(this.garage, this.garageBikeEl.value, Number(this.historyVersionEl.value)));
+        this.handleCalculate();
+    },
+
+    handleDiffVersions() {
+        if (!this.historyVersionEl.value || !this.compareVersionEl.value) return;
+
+        const changes = diffSetupVersions(
+            this.garage,
+            this.garageBikeEl.value,
+            Number(this.compareVersionEl.value),
+            Number(this.historyVersionEl.value)
+        );
+        this.historyDiffEl.innerHTML = '';
+        if (!changes.length) {
+            this.historyDiffEl.innerHTML = '<li>No differences</li>';
+            return;
+        }
+        changes.forEach((change) => {
+            const item = document.createElement('li');
+            const field = document.createElement('span');
+            field.className = 'field';
+            field.textContent = `${change.field}: `;
+            item.appendChild(field);
+            item.appendChild(document.createTextNode(
+                `${this.formatDiffValue(change.from)} → ${this.formatDiffValue(change.to)}`
+            ));
+            this.historyDiffEl.appendChild(item);
+        });
+    },
+
+    getSelectedVersion() {
+        const bike = getGarageBike(this.garage, this.garageBikeEl.value);
+        const version = Number(this.historyVersionEl.value);
+        return (bike && bike.history.find((entry) => entry.version === version)) || null;
+    },
+
+    getTuningLog(entry) {
+        if (!entry.tuning) {
+            entry.tuning = createTuningLog(this.calculateSetup(entry.input));
+        }
+        return entry.tuning;
+    },
+
+    renderTuningLog() {
+        this.tuningSettingEl.innerHTML = '<option value="">No change</option>';
+        this.tuningValueEl.value = '';
+        this.tuningSuggestionEl.textContent = '';
+        this.tuningRunsEl.innerHTML = '';
+        this.tuningCorrelationsEl.innerHTML = '';
+        const entry = this.getSelectedVersion();
+        if (!entry) return;
+
+        let log;
+        try {
+            log = this.getTuningLog(entry);
+        } catch (error) {
+            this.tuningSuggestionEl.textContent = `This version can't be tuned: ${error.message}`;
+            return;
+        }
+        Object.keys(log.baseline).forEach((path) => {
+            const option = document.createElement('option');
+            option.value = path;
+            option.textContent = log.baseline[path].name;
+            this.tuningSettingEl.appendChild(option);
+        });
+
+        log.runs.forEach((run) => {
+            const item = document.createElement('li');
+            const title = document.createElement('span');
+            title.className = 'field';
+            title.textContent = `${run.trail || 'Ride'}${run.conditions ? ` (${run.conditions})` : ''}: `;
+            item.appendChild(title);
+            const setting = run.change && log.baseline[run.change.path];
+            const change = setting
+                ? `${setting.name} ${formatTuningValue(setting, run.change.from, this.units)} → ${formatTuningValue(setting, run.change.to, this.units)}`
+                : 'no change';
+            const ratings = getTuningCriteria()
+                .filter((criterion) => run.ratings[criterion.id] !== undefined)
+                .map((criterion) => `${criterion.name} ${run.ratings[criterion.id]}`);
+            item.appendChild(document.createTextNode(
+                `${change}; ${ratings.join(', ')} (average ${run.score})${run.note ? `. ${run.note}` : ''}`
+            ));
+            this.tuningRunsEl.appendChild(item);
+        });
+
+        this.tuningSuggestionEl.textContent = `Next: ${suggestNextChange(log, { units: this.units }).message}`;
+        const analysis = analyzeTuningLog(log);
+        analysis.correlations.forEach((correlation) => {
+            const setting = log.baseline[correlation.path];
+            const item = document.createElement('li');
+            const field = document.createElement('span');
+            field.className = 'field';
+            field.textContent = `${correlation.name}: `;
+            item.appendChild(field);
+            item.appendChild(document.createTextNode(
+                `${correlation.correlation > 0 ? 'higher' : 'lower'} values rated better (r = ${correlation.correlation}); `
+                + `best ride at ${formatTuningValue(setting, correlation.bestValue, this.units)}`
+            ));
+            this.tuningCorrelationsEl.appendChild(item);
+        });
+    },
+
+    handleTuningSettingChange() {
+        const entry = this.getSelectedVersion();
+        const path = this.tuningSettingEl.value;
+        if (!entry || !entry.tuning || !path) {
+            this.tuningValueEl.value = '';
+            return;
+        }
+        const value = getCurrentSettings(entry.tuning)[path];
+        this.tuningValueEl.value = entry.tuning.baseline[path].unit === 'psi'
+            ? roundTo(convertUnit(value, 'psi', this.units.pressure), 2)
+            : value;
+    },
+
+    handleRecordRide() {
+        const entry = this.getSelectedVersion();
+        if (!entry) {
+            alert('Please save a setup to the garage and select its version');
+            return;
+        }
+        const ratings = {};
+        this.tuningRatingsEl.querySelectorAll('select').forEach((select) => {
+            if (select.value) {
+                ratings[select.dataset.criterion] = Number(select.value);
+            }
+        });
+        const path = this.tuningSettingEl.value;
+        try {
+            const log = this.getTuningLog(entry);
+            let value = parseFloat(this.tuningValueEl.value);
+            if (path && log.baseline[path].unit === 'psi') {
+                value = roundTo(convertUnit(value, this.units.pressure, 'psi'), 1);
             }
+            recordTuningRun(log, {
+                change: path ? { path, value } : null,
+                trail: this.tuningTrailEl.value,
+                conditions: this.tuningConditionsEl.value,
+                ratings,
+                note: this.tuningNoteEl.value
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        saveGarage(this.garage);
+        this.tuningNoteEl.value = '';
+        this.tuningRatingsEl.querySelectorAll('select').forEach((select) => {
+            select.value = '';
+        });
+        this.renderTuningLog();
+    },
+
+    formatDiffValue(value) {
+        if (value === null || value === undefined || value === '') return '--';
+        if (typeof value === 'object' && 'unit' in value) {
+            return formatQuantity(value, this.units);
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    },
+
+    populateProfileOptions() {
+        getAvailableProfiles().forEach((id) => {
+            [this.profileBaseEl, this.profileBlendEl].forEach((select) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = getRidingProfile(id).name;
+                select.appendChild(option);
+            });
+        });
+    },
+
+    renderProfileOptions(selectedId = this.ridingStyleEl.value) {
+        const option = (id, profile) => {
+            const el = document.createElement('option');
+            el.value = id;
+            el.textContent = profile.name;
+            return el;
         };
+        this.ridingStyleEl.innerHTML = '';
+        getAvailableProfiles().forEach((id) => this.ridingStyleEl.appendChild(option(id, getRidingProfile(id))));
+        [['Custom', this.profiles], ['Custom, not saved', this.linkedProfiles]].forEach(([label, store]) => {
+            if (!store.profiles.length) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            store.profiles.forEach((profile) => group.appendChild(option(profile.id, profile)));
+            this.ridingStyleEl.appendChild(group);
+        });
+        this.ridingStyleEl.value = this.findProfile(selectedId) ? selectedId : 'trail';
+    },
+
+    findProfile(id) {
+        return findRidingProfile(id, this.profiles) || findRidingProfile(id, this.linkedProfiles);
+    },
+
+    getCustomProfile(id) {
+        const profile = this.findProfile(id);
+        return profile && profile.custom ? profile : null;
+    },
+
+    fillProfileEditor(profile, name = profile.name) {
+        const settings = profile.suspensionSettings;
+        this.profileNameEl.value = name;
+        this.profileSagFrontEl.value = settings.sag.front;
+        this.profileSagRearEl.value = settings.sag.rear;
+        this.profileLowSpeedEl.value = settings.compression.lowSpeed;
+        this.profileHighSpeedEl.value = settings.compression.highSpeed;
+        this.profileReboundFrontEl.value = settings.rebound.front;
+        this.profileReboundRearEl.value = settings.rebound.rear;
+        this.profileRecommendationsEl.value = profile.recommendations.join('\n');
+    },
+
+    handleRidingStyleChange() {
+        const profile = this.getCustomProfile(this.ridingStyleEl.value);
+        if (!profile) return;
+
+        this.profileBaseEl.value = profile.base;
+        this.profileBlendEl.value = profile.blend ? profile.blend.profile : '';
+        if (profile.blend) {
+            this.profileBlendShareEl.value = profile.blend.share;
+        }
+        this.fillProfileEditor(profile);
+    },
+
+    handleLoadProfile() {
+        const base = getRidingProfile(this.profileBaseEl.value);
+        if (!this.profileBlendEl.value) {
+            this.fillProfileEditor(base, `My ${base.name}`);
+            return;
+        }
+        try {
+            const blend = blendProfiles(base, getRidingProfile(this.profileBlendEl.value), parseFloat(this.profileBlendShareEl.value));
+            this.fillProfileEditor(blend);
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    handleSaveProfile() {
+        const number = (el) => parseFloat(el.value);
+        try {
+            const profile = createCustomProfile(this.profileBaseEl.value, {
+                name: this.profileNameEl.value,
+                blend: this.profileBlendEl.value
+                    ? { profile: this.profileBlendEl.value, share: number(this.profileBlendShareEl) }
+                    : null,
+                suspensionSettings: {
+                    sag: { front: number(this.profileSagFrontEl), rear: number(this.profileSagRearEl) },
+                    compression: { lowSpeed: number(this.profileLowSpeedEl), highSpeed: number(this.profileHighSpeedEl) },
+                    rebound: { front: number(this.profileReboundFrontEl), rear: number(this.profileReboundRearEl) }
+                },
+                recommendations: this.profileRecommendationsEl.value.split('\n').map((line) => line.trim()).filter(Boolean)
+            });
+            putCustomProfile(this.profiles, profile);
+            saveCustomProfiles(this.profiles);
+            removeCustomProfile(this.linkedProfiles, profile.id);
+            this.renderProfileOptions(profile.id);
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    handleDeleteProfile() {
+        const profile = this.getCustomProfile(this.ridingStyleEl.value);
+        if (!profile) {
+            alert('Select a custom profile under Riding Style to delete it');
+            return;
+        }
+        if (!removeCustomProfile(this.linkedProfiles, profile.id)) {
+            removeCustomProfile(this.profiles, profile.id);
+            saveCustomProfiles(this.profiles);
+        }
+        this.renderProfileOptions('trail');
+    },
+
+    handleExport() {
+        const setup = createSetupFile(this.data, this.setup);
 
         const jsonString = JSON.stringify(setup, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
@@ -198,6 +1205,136 @@ const app = {
         link.download = `suspension-setup-${Date.now()}.json`;
         link.click();
         URL.revokeObjectURL(url);
+    },
+
+    handlePinSetup() {
+        // Labelled from the calculated setup, which the form may no longer match
+        const label = `${this.setup.profile.name}, ${formatQuantity(this.setup.rider.mass, this.units)}`;
+        this.pinned.push({ label: `#${this.pinned.length + 1} ${label}`, setup: this.setup });
+        this.renderComparison();
+    },
+
+    handleClearComparison() {
+        this.pinned = [];
+        this.renderComparison();
+    },
+
+    renderComparison() {
+        this.comparisonSection.style.display = this.pinned.length ? 'block' : 'none';
+        this.comparisonTableEl.innerHTML = '';
+        if (this.pinned.length < 2) {
+            this.comparisonHintEl.textContent = 'Pin another setup to compare it with this one.';
+            return;
+        }
+        this.comparisonHintEl.textContent = 'Highlighted rows differ; deltas are relative to the first pinned setup.';
+
+        const comparison = compareSetups(this.pinned, { units: this.units });
+        const header = document.createElement('tr');
+        ['Field'].concat(comparison.labels).forEach((label) => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+        this.comparisonTableEl.appendChild(header);
+
+        comparison.rows.forEach((row) => {
+            const tr = document.createElement('tr');
+            tr.className = row.differs ? 'differs' : '';
+            const fieldCell = document.createElement('td');
+            fieldCell.textContent = row.label;
+            tr.appendChild(fieldCell);
+
+            const decimals = row.unit ? undefined : 0;
+            const format = (value) => formatQuantity({ value, unit: row.unit }, this.units, decimals);
+            row.values.forEach((value, i) => {
+                const cell = document.createElement('td');
+                cell.textContent = value === null ? '--' : format(value);
+                if (i > 0 && row.deltas[i] !== null && row.deltas[i] !== 0) {
+                    const delta = document.createElement('span');
+                    delta.className = 'delta';
+                    delta.textContent = `${row.deltas[i] > 0 ? '+' : ''}${format(row.deltas[i])}`;
+                    cell.appendChild(delta);
+                }
+                tr.appendChild(cell);
+            });
+            this.comparisonTableEl.appendChild(tr);
+        });
+    },
+
+    buildCard() {
+        const bikeName = this.bikeModelEl.value
+            ? this.bikeModelEl.options[this.bikeModelEl.selectedIndex].text
+            : undefined;
+        return buildSetupCard(this.setup, { bikeName, units: this.units });
+    },
+
+    handlePrintCard() {
+        const card = this.buildCard();
+        const element = (tag, text) => {
+            const el = document.createElement(tag);
+            if (text !== undefined) el.textContent = text;
+            return el;
+        };
+
+        this.setupCardEl.innerHTML = '';
+        this.setupCardEl.appendChild(element('h1', card.title));
+        this.setupCardEl.appendChild(element('p', card.subtitle));
+        card.sections.forEach((section) => {
+            this.setupCardEl.appendChild(element('h2', section.heading));
+            const table = element('table');
+            section.rows.forEach(([label, value]) => {
+                const row = element('tr');
+                row.appendChild(element('td', label));
+                row.appendChild(element('td', value));
+                table.appendChild(row);
+            });
+            this.setupCardEl.appendChild(table);
+        });
+        if (card.recommendations.length) {
+            this.setupCardEl.appendChild(element('h2', 'Recommendations'));
+            const list = element('ul');
+            card.recommendations.forEach((recommendation) => list.appendChild(element('li', recommendation)));
+            this.setupCardEl.appendChild(list);
+        }
+        window.print();
+    },
+
+    handleDownloadPdf() {
+        const blob = new Blob([createSetupCardPdf(this.buildCard())], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `suspension-setup-card-${Date.now()}.pdf`;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+    handleShare() {
+        const url = `${window.location.origin}${window.location.pathname}#${encodeSetupLink(this.data)}`;
+        window.history.replaceState(null, '', url);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => alert('Setup link copied to the clipboard'))
+                .catch(() => prompt('Copy this setup link:', url));
+        } else {
+            prompt('Copy this setup link:', url);
+        }
+    },
+
+    handleImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        file.text().then((text) => {
+            const imported = importSetupFile(text);
+            this.populateForm(imported.input);
+            this.handleCalculate();
+        }).catch((error) => {
+            alert(error.message);
+        }).finally(() => {
+            this.importFileEl.value = '';
+        });
     }
 };
 